@@ -3,12 +3,335 @@ const AppState = {
   sessions: new Map(),
   currentUser: null,
   currentSession: null,
+  reviewFilters: {},
+  historySearch: '',
   eventListeners: [],
+  routeCleanups: [],
   socketId: null
 };
 
+// Transports - carry SessionManager writes and shared events to other devices.
+// Every transport implements the same methods; the local one does nothing
+// because window.globalSessions already is the whole world for a single tab.
+const LocalTransport = {
+  name: 'local',
+  connect: function(handlers) {},
+  subscribe: function(sessionIds) { return Promise.resolve(); },
+  unsubscribe: function(sessionIds) {},
+  save: function(sessionId, sessionData) {},
+  addMessage: function(sessionId, message) {},
+  addParticipant: function(sessionId, participantId) {},
+  editMessage: function(sessionId, messageId, authorToken, changes) {},
+  updateMessage: function(sessionId, messageId, changes) {},
+  withdrawMessage: function(sessionId, messageId, authorToken) {},
+  delete: function(sessionId) {},
+  emit: function(eventName, detail) {}
+};
+
+// Relay transport - talks to relay.js over a WebSocket so that phones, the
+// projector and the teacher laptop all share one set of sessions. A device
+// only receives the sessions it subscribed to, and whole-session saves and
+// deletes carry the owner token from the teacher profile.
+function createRelayTransport(url) {
+  let socket = null;
+  let handlers = null;
+  let queue = [];
+  let retryDelay = 1000;
+  const subscriptions = new Set();
+  const pending = new Map();
+  let nextRequestId = 1;
+  let hasConnected = false;
+  
+  // Owner tokens let the relay show this device the teacher's view, held
+  // bottles included
+  function subscription(sessionIds, requestId) {
+    const ownerTokens = {};
+    sessionIds.forEach(id => {
+      const token = TeacherProfile.getToken(id);
+      if (token) ownerTokens[id] = token;
+    });
+    return { type: 'subscribe', sessionIds, ownerTokens, requestId };
+  }
+  
+  function send(payload) {
+    const data = JSON.stringify(payload);
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(data);
+    } else {
+      queue.push(data);
+    }
+  }
+  
+  function open() {
+    console.log('[Relay] Connecting to', url);
+    socket = new WebSocket(url);
+    
+    socket.addEventListener('open', () => {
+      console.log('[Relay] Connected');
+      retryDelay = 1000;
+      if (hasConnected && subscriptions.size > 0) {
+        // The relay forgets subscriptions when a device drops
+        socket.send(JSON.stringify(subscription(Array.from(subscriptions))));
+      }
+      hasConnected = true;
+      queue.forEach(data => socket.send(data));
+      queue = [];
+    });
+    
+    socket.addEventListener('message', (e) => {
+      let payload;
+      try {
+        payload = JSON.parse(e.data);
+      } catch (err) {
+        console.warn('[Relay] Ignoring malformed payload:', e.data);
+        return;
+      }
+      
+      if (payload.type === 'snapshot') {
+        handlers.onSnapshot(payload.sessions || {});
+        if (pending.has(payload.requestId)) {
+          pending.get(payload.requestId)();
+          pending.delete(payload.requestId);
+        }
+      } else if (payload.type === 'rejected') {
+        console.warn('[Relay] Rejected', payload.operation, 'for session', payload.sessionId);
+      } else if (payload.type === 'session') {
+        handlers.onSession(payload.sessionId, payload.data);
+      } else if (payload.type === 'deleted') {
+        handlers.onDelete(payload.sessionId);
+      } else if (payload.type === 'event') {
+        handlers.onEvent(payload.name, payload.detail);
+      }
+    });
+    
+    socket.addEventListener('close', () => {
+      console.warn('[Relay] Disconnected, retrying in', retryDelay, 'ms');
+      setTimeout(open, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, 30000);
+    });
+  }
+  
+  return {
+    name: 'relay',
+    url,
+    connect: function(remoteHandlers) {
+      handlers = remoteHandlers;
+      open();
+    },
+    // Resolves once the relay has answered with whichever of these exist
+    subscribe: function(sessionIds) {
+      sessionIds.forEach(id => subscriptions.add(id));
+      const requestId = nextRequestId++;
+      return new Promise(resolve => {
+        pending.set(requestId, resolve);
+        send(subscription(sessionIds, requestId));
+      });
+    },
+    unsubscribe: function(sessionIds) {
+      sessionIds.forEach(id => subscriptions.delete(id));
+      send({ type: 'unsubscribe', sessionIds });
+    },
+    save: function(sessionId, sessionData) {
+      subscriptions.add(sessionId);
+      send({ type: 'save', sessionId, data: sessionData, ownerToken: TeacherProfile.getToken(sessionId) });
+    },
+    addMessage: function(sessionId, message) {
+      send({ type: 'addMessage', sessionId, message });
+    },
+    addParticipant: function(sessionId, participantId) {
+      send({ type: 'addParticipant', sessionId, participantId });
+    },
+    editMessage: function(sessionId, messageId, authorToken, changes) {
+      send({ type: 'editMessage', sessionId, messageId, authorToken, changes });
+    },
+    updateMessage: function(sessionId, messageId, changes) {
+      send({ type: 'updateMessage', sessionId, messageId, changes, ownerToken: TeacherProfile.getToken(sessionId) });
+    },
+    withdrawMessage: function(sessionId, messageId, authorToken) {
+      send({ type: 'withdrawMessage', sessionId, messageId, authorToken });
+    },
+    delete: function(sessionId) {
+      send({ type: 'delete', sessionId, ownerToken: TeacherProfile.getToken(sessionId) });
+      subscriptions.delete(sessionId);
+    },
+    // Owner-only events such as sessionClosed need the owner token
+    emit: function(eventName, detail) {
+      send({ type: 'event', name: eventName, detail, ownerToken: TeacherProfile.getToken(detail.sessionId) });
+    }
+  };
+}
+
+// Relay URL comes from ?relay=ws://host:port or window.RELAY_URL
+function getRelayUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('relay') || window.RELAY_URL || null;
+}
+
+// Storage backends - keep sessions on this device across page reloads.
+// Records are stored serialized (participants as an array, see
+// SessionManager.serialize) so every backend can hold them as plain JSON.
+function createIndexedDBStorage() {
+  const DB_NAME = 'bottle-message';
+  const STORE = 'sessions';
+  
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+    
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE);
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      
+      function run(mode, work) {
+        return new Promise((done, fail) => {
+          const tx = db.transaction(STORE, mode);
+          const result = work(tx.objectStore(STORE));
+          tx.oncomplete = () => done(result && result.result);
+          tx.onerror = () => fail(tx.error);
+        });
+      }
+      
+      resolve({
+        name: 'indexeddb',
+        loadAll: function() {
+          const sessions = {};
+          return new Promise((done, fail) => {
+            const tx = db.transaction(STORE, 'readonly');
+            const cursorRequest = tx.objectStore(STORE).openCursor();
+            cursorRequest.onsuccess = () => {
+              const cursor = cursorRequest.result;
+              if (cursor) {
+                sessions[cursor.key] = cursor.value;
+                cursor.continue();
+              }
+            };
+            tx.oncomplete = () => done(sessions);
+            tx.onerror = () => fail(tx.error);
+          });
+        },
+        put: function(sessionId, sessionData) {
+          return run('readwrite', store => store.put(sessionData, sessionId));
+        },
+        remove: function(sessionId) {
+          return run('readwrite', store => store.delete(sessionId));
+        }
+      });
+    };
+  });
+}
+
+function createLocalStorageStorage() {
+  const PREFIX = 'bottle-message:session:';
+  
+  return {
+    name: 'localstorage',
+    loadAll: function() {
+      const sessions = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(PREFIX)) {
+          try {
+            sessions[key.substring(PREFIX.length)] = JSON.parse(localStorage.getItem(key));
+          } catch (e) {
+            console.warn('[Storage] Skipping corrupt record:', key);
+          }
+        }
+      }
+      return Promise.resolve(sessions);
+    },
+    // setItem throws QuotaExceededError synchronously; report it the same
+    // way as the IndexedDB backend does
+    put: function(sessionId, sessionData) {
+      try {
+        localStorage.setItem(PREFIX + sessionId, JSON.stringify(sessionData));
+        return Promise.resolve();
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    },
+    remove: function(sessionId) {
+      localStorage.removeItem(PREFIX + sessionId);
+      return Promise.resolve();
+    }
+  };
+}
+
+// Used when the browser refuses both (e.g. storage disabled)
+const MemoryStorage = {
+  name: 'memory',
+  loadAll: function() { return Promise.resolve({}); },
+  put: function() { return Promise.resolve(); },
+  remove: function() { return Promise.resolve(); }
+};
+
+async function createStorage() {
+  try {
+    return await createIndexedDBStorage();
+  } catch (e) {
+    console.warn('[Storage] IndexedDB unavailable, falling back to localStorage:', e);
+  }
+  
+  try {
+    const probe = '__bottle_message_probe__';
+    localStorage.setItem(probe, probe);
+    localStorage.removeItem(probe);
+    return createLocalStorageStorage();
+  } catch (e) {
+    console.warn('[Storage] localStorage unavailable, sessions will not survive a reload:', e);
+  }
+  
+  return MemoryStorage;
+}
+
+// Tab sync - pushes session changes to other tabs of the same browser.
+// BroadcastChannel where available, storage events otherwise.
+function createTabSync(onMessage) {
+  if (window.BroadcastChannel) {
+    const channel = new BroadcastChannel('bottle-message');
+    channel.onmessage = (e) => onMessage(e.data);
+    return {
+      name: 'broadcastchannel',
+      post: function(payload) {
+        channel.postMessage(payload);
+      }
+    };
+  }
+  
+  const KEY = 'bottle-message:sync';
+  window.addEventListener('storage', (e) => {
+    if (e.key !== KEY || !e.newValue) return;
+    try {
+      onMessage(JSON.parse(e.newValue).payload);
+    } catch (err) {
+      console.warn('[TabSync] Ignoring malformed sync record');
+    }
+  });
+  
+  return {
+    name: 'storage',
+    post: function(payload) {
+      try {
+        // The nonce makes repeated identical payloads still fire 'storage'
+        localStorage.setItem(KEY, JSON.stringify({ payload, nonce: generateId('sync') }));
+      } catch (e) {
+        console.warn('[TabSync] Could not post update:', e);
+      }
+    }
+  };
+}
+
 // Session Manager - Global persistent storage
 const SessionManager = {
+  transport: LocalTransport,
+  storage: MemoryStorage,
+  tabSync: null,
+  
   // Initialize global storage on first load
   init: function() {
     if (!window.globalSessions) {
@@ -17,25 +340,193 @@ const SessionManager = {
     }
   },
   
-  save: function(sessionId, sessionData) {
+  // Pick a storage backend and load everything it holds
+  hydrate: async function(storage) {
     this.init();
+    this.storage = storage;
+    
+    try {
+      const sessions = await storage.loadAll();
+      Object.assign(window.globalSessions, sessions);
+      console.log('[SessionManager] Restored', Object.keys(sessions).length, 'sessions from', storage.name);
+    } catch (e) {
+      console.warn('[SessionManager] Could not restore sessions:', e);
+    }
+  },
+  
+  // Storage failures (e.g. a full localStorage) must not break the write
+  // that is already in memory, so both sync throws and rejections are logged
+  persist: function(sessionId, sessionToSave) {
+    try {
+      this.storage.put(sessionId, sessionToSave).catch(e => {
+        console.warn('[SessionManager] Could not persist session:', sessionId, e);
+      });
+    } catch (e) {
+      console.warn('[SessionManager] Could not persist session:', sessionId, e);
+    }
+  },
+  
+  // Start exchanging changes with other tabs
+  startTabSync: function() {
+    this.tabSync = createTabSync((payload) => {
+      if (payload.type === 'session') {
+        this.apply(payload.sessionId, payload.data);
+      } else if (payload.type === 'deleted') {
+        this.remove(payload.sessionId);
+      } else if (payload.type === 'event' && this.transport === LocalTransport) {
+        // With a relay every tab already receives shared events from it
+        window.dispatchEvent(new CustomEvent(payload.name, { detail: payload.detail }));
+      }
+    });
+    console.log('[SessionManager] Tab sync via', this.tabSync.name);
+  },
+  
+  // Tell other tabs about a local change
+  broadcast: function(payload) {
+    if (this.tabSync) {
+      this.tabSync.post(payload);
+    }
+  },
+  
+  // Newer versions win. Two tabs that wrote at the same time can reach the
+  // same version, so ties go to the later write and then to the higher origin
+  // id; every tab then keeps the same copy.
+  isNewer: function(incoming, current) {
+    if ((incoming.version || 0) !== (current.version || 0)) {
+      return (incoming.version || 0) > (current.version || 0);
+    }
+    if ((incoming.updatedAt || 0) !== (current.updatedAt || 0)) {
+      return (incoming.updatedAt || 0) > (current.updatedAt || 0);
+    }
+    return String(incoming.updatedBy || '') > String(current.updatedBy || '');
+  },
+  
+  // Apply a record from another tab or device if it is newer than ours
+  apply: function(sessionId, data) {
+    const current = window.globalSessions[sessionId];
+    if (current && !this.isNewer(data, current)) {
+      return false;
+    }
+    this.write(sessionId, this.keepWithheld(data, current));
+    return true;
+  },
+  
+  // The relay sends held and hidden bottles without their text to everyone
+  // but the owner. Keep whatever this device already knew about them, e.g.
+  // the writer's own words, and take only the new moderation status.
+  keepWithheld: function(data, current) {
+    if (!current || !Array.isArray(data.messages)) return data;
+    
+    const known = new Map((current.messages || []).map(m => [m.id, m]));
+    data.messages = data.messages.map(message => {
+      const local = known.get(message.id);
+      if (!message.withheld || !local || local.withheld) return message;
+      return { ...local, moderation: { ...local.moderation, status: message.moderation.status } };
+    });
+    return data;
+  },
+  
+  // Bump the version of a locally modified session
+  stamp: function(session) {
+    session.version = (session.version || 0) + 1;
+    session.updatedAt = Date.now();
+    session.updatedBy = AppState.socketId;
+  },
+  
+  // Swap the transport and start listening for remote changes
+  setTransport: function(transport) {
+    this.transport = transport;
+    transport.connect({
+      onSnapshot: (sessions) => {
+        const local = this.getAll();
+        Object.keys(local).forEach(id => {
+          if (!TeacherProfile.getToken(id)) return;
+          if (!sessions[id] || this.isNewer(local[id], sessions[id])) {
+            // Our sessions created or changed before the relay was reachable
+            this.transport.save(id, this.serialize(local[id]));
+          }
+        });
+        Object.entries(sessions).forEach(([id, data]) => this.apply(id, data));
+      },
+      onSession: (sessionId, data) => this.apply(sessionId, data),
+      onDelete: (sessionId) => this.remove(sessionId),
+      onEvent: (eventName, detail) => {
+        window.dispatchEvent(new CustomEvent(eventName, { detail }));
+      }
+    });
+    console.log('[SessionManager] Using transport:', transport.name);
     
-    // Convert Set to Array for storage
+    // Keep receiving every session this device already knows about
+    const known = Object.keys(this.getAll());
+    if (known.length > 0) {
+      transport.subscribe(known);
+    }
+  },
+  
+  // Ask the transport for sessions this device does not hold yet (e.g. a
+  // student typing a join code); resolves once they have arrived, are known
+  // not to exist or the relay took too long to answer
+  watch: function(sessionIds, timeout = 5000) {
+    return Promise.race([
+      this.transport.subscribe(sessionIds),
+      new Promise(resolve => setTimeout(resolve, timeout))
+    ]);
+  },
+  
+  // Convert Set to Array for storage
+  serialize: function(sessionData) {
     const sessionToSave = { ...sessionData };
     if (sessionData.participants instanceof Set) {
       sessionToSave.participants = Array.from(sessionData.participants);
     }
+    return sessionToSave;
+  },
+  
+  // Store locally without notifying the transport or other tabs
+  write: function(sessionId, sessionData) {
+    this.init();
+    
+    const sessionToSave = this.serialize(sessionData);
     
     // Save to global window object
     window.globalSessions[sessionId] = sessionToSave;
-    
-    console.log('[SessionManager] Saved session:', sessionId, sessionToSave);
+    this.persist(sessionId, sessionToSave);
     
     // Update in-memory map
     AppState.sessions.set(sessionId, sessionData);
     
-    // Trigger custom event for reactivity
+    // Trigger custom events for reactivity
     window.dispatchEvent(new CustomEvent('sessionsUpdated', { detail: window.globalSessions }));
+    window.dispatchEvent(new CustomEvent('sessionChanged', {
+      detail: { sessionId, version: sessionToSave.version || 0 }
+    }));
+    
+    return sessionToSave;
+  },
+  
+  remove: function(sessionId) {
+    this.init();
+    delete window.globalSessions[sessionId];
+    AppState.sessions.delete(sessionId);
+    this.storage.remove(sessionId).catch(e => {
+      console.warn('[SessionManager] Could not remove stored session:', sessionId, e);
+    });
+  },
+  
+  // Drop a session from this device only; the relay and other devices keep
+  // their copies and this device stops hearing about it
+  forget: function(sessionId) {
+    this.remove(sessionId);
+    this.transport.unsubscribe([sessionId]);
+    console.log('[SessionManager] Forgot session:', sessionId);
+  },
+  
+  save: function(sessionId, sessionData) {
+    this.stamp(sessionData);
+    const sessionToSave = this.write(sessionId, sessionData);
+    this.transport.save(sessionId, sessionToSave);
+    this.broadcast({ type: 'session', sessionId, data: sessionToSave });
+    console.log('[SessionManager] Saved session:', sessionId, sessionToSave);
   },
   
   get: function(sessionId) {
@@ -76,7 +567,10 @@ const SessionManager = {
     if (session) {
       session.messages = session.messages || [];
       session.messages.push(message);
-      this.save(sessionId, session);
+      this.stamp(session);
+      const sessionToSave = this.write(sessionId, session);
+      this.transport.addMessage(sessionId, message);
+      this.broadcast({ type: 'session', sessionId, data: sessionToSave });
       console.log('[SessionManager] Added message to session:', sessionId);
       return true;
     }
@@ -92,7 +586,10 @@ const SessionManager = {
       }
       if (!session.participants.has(participantId)) {
         session.participants.add(participantId);
-        this.save(sessionId, session);
+        this.stamp(session);
+        const sessionToSave = this.write(sessionId, session);
+        this.transport.addParticipant(sessionId, participantId);
+        this.broadcast({ type: 'session', sessionId, data: sessionToSave });
         console.log('[SessionManager] Added participant to session:', sessionId, participantId);
       }
       return true;
@@ -100,10 +597,59 @@ const SessionManager = {
     return false;
   },
   
+  // A student's own edit travels as just the changed fields, so it cannot
+  // overwrite bottles that arrived on the relay since this device last synced.
+  // The author token proves to the relay that the bottle is ours.
+  editMessage: function(sessionId, messageId, authorToken, changes) {
+    const session = this.get(sessionId);
+    const message = session && (session.messages || []).find(m => m.id === messageId);
+    if (!message) return false;
+    
+    Object.assign(message, changes);
+    this.stamp(session);
+    const sessionToSave = this.write(sessionId, session);
+    this.transport.editMessage(sessionId, messageId, authorToken, changes);
+    this.broadcast({ type: 'session', sessionId, data: sessionToSave });
+    console.log('[SessionManager] Edited message in session:', sessionId, messageId);
+    return true;
+  },
+  
+  // Teacher changes to a single bottle; the relay only accepts them from the
+  // session's owner
+  updateMessage: function(sessionId, messageId, changes) {
+    const session = this.get(sessionId);
+    const message = session && (session.messages || []).find(m => m.id === messageId);
+    if (!message) return false;
+    
+    Object.assign(message, changes);
+    this.stamp(session);
+    const sessionToSave = this.write(sessionId, session);
+    this.transport.updateMessage(sessionId, messageId, changes);
+    this.broadcast({ type: 'session', sessionId, data: sessionToSave });
+    console.log('[SessionManager] Updated message in session:', sessionId, messageId);
+    return true;
+  },
+  
+  withdrawMessage: function(sessionId, messageId, authorToken) {
+    const session = this.get(sessionId);
+    const index = session ? (session.messages || []).findIndex(m => m.id === messageId) : -1;
+    if (index === -1) return false;
+    
+    session.messages.splice(index, 1);
+    // Remembered so an older copy of the session cannot bring it back
+    session.withdrawnIds = [...(session.withdrawnIds || []), messageId];
+    this.stamp(session);
+    const sessionToSave = this.write(sessionId, session);
+    this.transport.withdrawMessage(sessionId, messageId, authorToken);
+    this.broadcast({ type: 'session', sessionId, data: sessionToSave });
+    console.log('[SessionManager] Withdrew message from session:', sessionId, messageId);
+    return true;
+  },
+  
   delete: function(sessionId) {
-    this.init();
-    delete window.globalSessions[sessionId];
-    AppState.sessions.delete(sessionId);
+    this.remove(sessionId);
+    this.transport.delete(sessionId);
+    this.broadcast({ type: 'deleted', sessionId });
     console.log('[SessionManager] Deleted session:', sessionId);
   },
   
@@ -129,16 +675,25 @@ const SessionManager = {
 window.SessionManager = SessionManager;
 
 // Initialize
-function init() {
+async function init() {
   console.log('[App] Initializing...');
   
-  // Initialize SessionManager first
+  // Identifies this tab's writes, see SessionManager.isNewer
+  AppState.socketId = generateSocketId();
+  
+  // Initialize SessionManager first and restore persisted sessions
   SessionManager.init();
+  await SessionManager.hydrate(await createStorage());
+  SessionManager.startTabSync();
+  
+  const relayUrl = getRelayUrl();
+  if (relayUrl) {
+    SessionManager.setTransport(createRelayTransport(relayUrl));
+  }
   
-  AppState.socketId = generateSocketId();
   loadState();
+  SessionScheduler.start();
   setupRouter();
-  startPolling();
   
   // Show debug info in console
   SessionManager.debugInfo();
@@ -150,22 +705,9 @@ function init() {
 }
 
 // State Persistence
-function saveState() {
-  const data = {
-    sessions: Array.from(AppState.sessions.entries()),
-    timestamp: Date.now()
-  };
-  try {
-    // Use in-memory storage only
-    window.appStateBackup = data;
-  } catch (e) {
-    console.warn('State save failed:', e);
-  }
-}
-
 function loadState() {
   try {
-    // Load from SessionManager (localStorage)
+    // Load from SessionManager (IndexedDB / localStorage)
     const sessions = SessionManager.getAll();
     const sessionEntries = Object.entries(sessions).map(([id, session]) => {
       // Convert participants array back to Set
@@ -177,6 +719,11 @@ function loadState() {
     AppState.sessions = new Map(sessionEntries);
     console.log('[App] Loaded sessions from storage:', AppState.sessions.size);
     
+    TeacherProfile.migrateOwnerTokens(sessions).forEach(id => {
+      SessionManager.save(id, SessionManager.get(id));
+      console.log('[App] Replaced owner token with its hash:', id);
+    });
+    
     // Clean up expired sessions
     cleanupSessions();
   } catch (e) {
@@ -184,24 +731,61 @@ function loadState() {
   }
 }
 
+// Retention - how long this device keeps sessions after they close
+const RetentionPolicy = {
+  STORAGE_KEY: 'bottle-message:retention-days',
+  OPTIONS: [1, 7, 30, 90, 365, 0],
+  DEFAULT_DAYS: 30,
+  
+  load: function() {
+    try {
+      const stored = localStorage.getItem(this.STORAGE_KEY);
+      return stored !== null && this.OPTIONS.includes(Number(stored)) ? Number(stored) : this.DEFAULT_DAYS;
+    } catch (e) {
+      return this.DEFAULT_DAYS;
+    }
+  },
+  
+  store: function(days) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, String(days));
+    } catch (e) {
+      console.warn('[App] Could not store retention policy:', e);
+    }
+  },
+  
+  describe: function(days) {
+    if (days === 0) return 'Keep until I delete them';
+    return days === 1 ? '1 day after closing' : `${days} days after closing`;
+  }
+};
+
+// Forget closed sessions that are past the retention period. Only this
+// device's copies go; the relay keeps its own, so sessions owned by someone
+// else simply drop off this device. Returns how many were removed.
 function cleanupSessions() {
+  const days = RetentionPolicy.load();
+  if (days === 0) return 0;
+  
   const now = Date.now();
-  const TWENTY_FOUR_HOURS = 24 * 60 * 60 * 1000;
+  const maxAge = days * 24 * 60 * 60 * 1000;
   
   const sessions = SessionManager.getAll();
   let cleaned = 0;
   
   for (const [id, session] of Object.entries(sessions)) {
-    // Only remove sessions older than 24 hours that are not active
-    if (now - session.createdAt > TWENTY_FOUR_HOURS && !session.isActive) {
-      SessionManager.delete(id);
+    if (!session.isActive && now - (session.closedAt || session.createdAt) > maxAge) {
+      // Only our own sessions hold a token to give back
+      if (TeacherProfile.owns(session)) TeacherProfile.release(id);
+      SessionManager.forget(id);
       cleaned++;
     }
   }
   
   if (cleaned > 0) {
-    console.log(`[App] Cleaned up ${cleaned} expired sessions`);
+    console.log(`[App] Cleaned up ${cleaned} sessions past the ${days} day retention`);
   }
+  return cleaned;
 }
 
 // Utility Functions
@@ -226,14 +810,181 @@ function generateId(prefix = 'id') {
   return prefix + '_' + Math.random().toString(36).substring(2, 15) + Date.now();
 }
 
+// Unguessable token for secrets such as session ownership.
+// getRandomValues works on plain http, unlike crypto.subtle.
+function generateSecret(prefix = 'secret') {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return prefix + '_' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA-256 as lower-case hex. Ownership checks run synchronously while
+// rendering, and crypto.subtle is async and missing on plain http.
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+  
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Uint32Array(64);
+  
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) >>> 0;
+    });
+  }
+  
+  return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
 function countWords(text) {
   return text.trim().split(/\s+/).filter(w => w.length > 0).length;
 }
 
 function formatTime(seconds) {
-  const mins = Math.floor(seconds / 60);
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
   const secs = seconds % 60;
-  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  const clock = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${clock}` : clock;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+// Quotes a value for CSV when it contains a delimiter, quote or line break.
+// Text that a spreadsheet would run as a formula is prefixed with a quote.
+function toCSVCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ZIP Archives - just enough of the format to bundle files for download.
+// Entries are stored uncompressed since images are compressed already.
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array, date }]
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const date = file.date || new Date();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const crc = crc32(file.data);
+    
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, file.data);
+    
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, file.data.length, true);
+    central.setUint32(24, file.data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(central, name);
+    
+    offset += 30 + name.length + file.data.length;
+  });
+  
+  const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
 }
 
 function generateBottleColor() {
@@ -282,47 +1033,925 @@ function fallbackCopy(text, successMessage) {
   document.body.removeChild(textarea);
 }
 
-// Session Management
-function createSession(config) {
-  const id = generateSessionCode();
-  const session = {
-    id,
-    mode: config.mode,
-    question: config.question || null,
-    optionA: config.optionA || null,
-    optionB: config.optionB || null,
-    timeout: config.timeout,
-    createdAt: Date.now(),
-    isActive: true,
-    participants: new Set(),
-    messages: [],
-    autoCloseTimer: null
-  };
+// Teacher Identity - a profile kept on this device and unlocked with a PIN.
+// Each session created here gets an ownership token that only this profile
+// holds, and teacher routes refuse sessions it does not own.
+// The same SHA-256 everywhere, including a classroom laptop that serves the
+// app over plain http where crypto.subtle does not exist
+function hashPin(pin, salt) {
+  return sha256Hex(`${salt}:${pin}`);
+}
+
+const TeacherProfile = {
+  STORAGE_KEY: 'bottle-message:teacher',
+  UNLOCK_KEY: 'bottle-message:teacher-unlocked',
   
-  // Save using SessionManager
-  SessionManager.save(id, session);
-  console.log('[App] Created session:', id);
+  load: function() {
+    try {
+      return JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+    } catch (e) {
+      return null;
+    }
+  },
   
-  // Fire event
-  window.dispatchEvent(new CustomEvent('sessionCreated', { 
-    detail: { sessionId: id, sessionData: session } 
-  }));
+  store: function(profile) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(profile));
+    } catch (e) {
+      console.warn('[Teacher] Could not store profile:', e);
+    }
+  },
   
-  return session;
-}
-
-function getSession(id) {
-  // Try SessionManager first (localStorage)
-  let session = SessionManager.get(id);
+  isUnlocked: function() {
+    const profile = this.load();
+    try {
+      return !!profile && sessionStorage.getItem(this.UNLOCK_KEY) === profile.id;
+    } catch (e) {
+      return false;
+    }
+  },
   
-  // Update in-memory map
-  if (session) {
-    AppState.sessions.set(id, session);
-  }
+  create: async function(name, pin) {
+    const salt = generateId('salt');
+    const profile = {
+      id: generateId('teacher'),
+      name,
+      salt,
+      pinHash: hashPin(pin, salt),
+      sessions: {},
+      createdAt: Date.now()
+    };
+    this.store(profile);
+    sessionStorage.setItem(this.UNLOCK_KEY, profile.id);
+    console.log('[Teacher] Created profile:', profile.id);
+    return profile;
+  },
   
-  return session;
-}
-
+  unlock: async function(pin) {
+    const profile = this.load();
+    if (!profile) return false;
+    
+    if (hashPin(pin, profile.salt) !== profile.pinHash) {
+      console.warn('[Teacher] Wrong PIN');
+      return false;
+    }
+    sessionStorage.setItem(this.UNLOCK_KEY, profile.id);
+    return true;
+  },
+  
+  lock: function() {
+    sessionStorage.removeItem(this.UNLOCK_KEY);
+  },
+  
+  // Record a new session as ours. The token stays in this profile; the
+  // session only carries its hash, which the relay checks owner actions
+  // against. Returns the hash to store on the session as ownerHash.
+  claim: function(sessionId) {
+    const profile = this.load();
+    const token = generateSecret('owner');
+    profile.sessions[sessionId] = token;
+    this.store(profile);
+    return sha256Hex(token);
+  },
+  
+  getToken: function(sessionId) {
+    const profile = this.load();
+    return (profile && profile.sessions[sessionId]) || null;
+  },
+  
+  owns: function(session) {
+    const token = session && this.getToken(session.id);
+    return !!token && !!session.ownerHash && sha256Hex(token) === session.ownerHash;
+  },
+  
+  // Sessions saved before ownerHash carried the token itself. Swap it for
+  // the hash on the sessions this profile owns; returns the migrated ids.
+  migrateOwnerTokens: function(sessions) {
+    const migrated = [];
+    Object.values(sessions).forEach(session => {
+      if (session.ownerToken && this.getToken(session.id) === session.ownerToken) {
+        session.ownerHash = sha256Hex(session.ownerToken);
+        delete session.ownerToken;
+        migrated.push(session.id);
+      }
+    });
+    return migrated;
+  },
+  
+  // Forget a deleted session
+  release: function(sessionId) {
+    const profile = this.load();
+    if (profile && profile.sessions[sessionId]) {
+      delete profile.sessions[sessionId];
+      this.store(profile);
+    }
+  }
+};
+
+// Student Identity - one participant id per session, remembered on this
+// device so reloads keep the same seat. Ids are not shared across sessions.
+const StudentIdentity = {
+  PARTICIPANTS_KEY: 'bottle-message:participants',
+  AUTHORS_KEY: 'bottle-message:authors',
+  DRAFT_PREFIX: 'bottle-message:draft:',
+  // Used when there is no storage, and to skip re-hashing while rendering
+  authorTokens: {},
+  authorHashes: {},
+  
+  getParticipantId: function(sessionId) {
+    try {
+      const participants = JSON.parse(localStorage.getItem(this.PARTICIPANTS_KEY)) || {};
+      if (!participants[sessionId]) {
+        participants[sessionId] = generateId('participant');
+        localStorage.setItem(this.PARTICIPANTS_KEY, JSON.stringify(participants));
+      }
+      return participants[sessionId];
+    } catch (e) {
+      // No storage - fall back to this tab's id
+      return AppState.socketId;
+    }
+  },
+  
+  // Secret that proves to the relay which bottles this device wrote. Bottles
+  // carry only its hash; the participant id is visible to classmates.
+  getAuthorToken: function(sessionId) {
+    if (this.authorTokens[sessionId]) return this.authorTokens[sessionId];
+    try {
+      const authors = JSON.parse(localStorage.getItem(this.AUTHORS_KEY)) || {};
+      if (!authors[sessionId]) {
+        authors[sessionId] = generateSecret('author');
+        localStorage.setItem(this.AUTHORS_KEY, JSON.stringify(authors));
+      }
+      this.authorTokens[sessionId] = authors[sessionId];
+    } catch (e) {
+      // No storage - the token lasts as long as this tab
+      this.authorTokens[sessionId] = generateSecret('author');
+    }
+    return this.authorTokens[sessionId];
+  },
+  
+  getAuthorHash: function(sessionId) {
+    if (!this.authorHashes[sessionId]) {
+      this.authorHashes[sessionId] = sha256Hex(this.getAuthorToken(sessionId));
+    }
+    return this.authorHashes[sessionId];
+  },
+  
+  saveDraft: function(sessionId, draft) {
+    try {
+      localStorage.setItem(this.DRAFT_PREFIX + sessionId, JSON.stringify({ ...draft, savedAt: Date.now() }));
+    } catch (e) {
+      console.warn('[Student] Could not save draft:', e);
+    }
+  },
+  
+  loadDraft: function(sessionId) {
+    try {
+      return JSON.parse(localStorage.getItem(this.DRAFT_PREFIX + sessionId));
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  clearDraft: function(sessionId) {
+    try {
+      localStorage.removeItem(this.DRAFT_PREFIX + sessionId);
+    } catch (e) {
+      // Nothing to clear
+    }
+  }
+};
+
+// Safe Rendering - views build markup with the html`` tag. Interpolated
+// values are escaped unless they are html`` results themselves, and arrays
+// (e.g. from .map) are rendered item by item. Trusted markup is recognised by
+// identity, not by a property, so objects that arrive as JSON from the relay
+// or an imported archive are always escaped.
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"'`]/g, ch => HTML_ESCAPES[ch]);
+}
+
+const trustedMarkup = new WeakSet();
+
+function safeHTML(markup) {
+  const value = Object.freeze({
+    markup,
+    toString: function() {
+      return markup;
+    }
+  });
+  trustedMarkup.add(value);
+  return value;
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (trustedMarkup.has(value)) return value.markup;
+  try {
+    return escapeHTML(value);
+  } catch (e) {
+    // A JSON object can shadow toString with a string
+    return '';
+  }
+}
+
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += renderValue(value) + strings[i + 1];
+  });
+  return safeHTML(markup);
+}
+
+// Argument for an inline handler: a JS string literal, escaped for the
+// attribute it sits in, e.g. onclick="markAsRead(${jsArg(id)})"
+function jsArg(value) {
+  return safeHTML(escapeHTML(JSON.stringify(String(value))));
+}
+
+// Question Options - question-mode sessions hold 2 to 6 lettered options.
+// Sessions created before this kept just optionA/optionB.
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = OPTION_KEYS.length;
+const OPTION_COLORS = ['#FF6B6B', '#4D96FF', '#6BCB77', '#FFD93D', '#9B5DE5', '#FF9F45'];
+
+function getSessionOptions(session) {
+  if (Array.isArray(session.options)) {
+    return session.options;
+  }
+  if (session.optionA && session.optionB) {
+    return [
+      { key: 'A', label: session.optionA, color: OPTION_COLORS[0] },
+      { key: 'B', label: session.optionB, color: OPTION_COLORS[1] }
+    ];
+  }
+  return [];
+}
+
+function getOption(session, key) {
+  return getSessionOptions(session).find(o => o.key === key) || null;
+}
+
+// Cork color key shown under the ocean for question sessions
+function renderOptionLegend(session) {
+  const options = getSessionOptions(session);
+  if (session.mode !== 'question' || options.length === 0) return '';
+  
+  return html`
+    <div class="option-legend">
+      ${options.map(option => html`
+        <span class="option-legend-item">
+          <span class="option-dot" style="background: ${option.color};"></span>
+          ${option.key}: ${option.label}
+        </span>
+      `)}
+    </div>
+  `;
+}
+
+// Poll Analytics - live results for question sessions, built from the
+// bottles the class can see
+const MAX_TIMELINE_BUCKETS = 20;
+
+function getSessionAnalytics(session) {
+  const messages = getVisibleMessages(session);
+  const participants = new Set(session.participants).size;
+  const submitters = new Set(messages.map(m => m.participantId)).size;
+  
+  const options = getSessionOptions(session).map(option => {
+    const chosen = messages.filter(m => m.selectedOption === option.key);
+    const words = chosen.reduce((total, m) => total + m.wordCount, 0);
+    return {
+      ...option,
+      count: chosen.length,
+      percent: messages.length > 0 ? Math.round(chosen.length / messages.length * 100) : 0,
+      averageWords: chosen.length > 0 ? Math.round(words / chosen.length * 10) / 10 : 0
+    };
+  });
+  
+  // Buckets of whole minutes from opening until close (or now)
+  const start = session.opensAt || session.createdAt;
+  const end = Math.max(start + 60000, session.closedAt || Date.now());
+  const bucketMinutes = Math.max(1, Math.ceil((end - start) / 60000 / MAX_TIMELINE_BUCKETS));
+  const bucketSize = bucketMinutes * 60000;
+  const timeline = Array.from({ length: Math.ceil((end - start) / bucketSize) }, (_, i) => ({
+    start: start + i * bucketSize,
+    count: 0
+  }));
+  messages.forEach(m => {
+    const bucket = timeline[Math.min(timeline.length - 1, Math.max(0, Math.floor((m.timestamp - start) / bucketSize)))];
+    bucket.count++;
+  });
+  
+  return {
+    total: messages.length,
+    participants,
+    submitters,
+    submittedPercent: participants > 0 ? Math.round(submitters / participants * 100) : 0,
+    options,
+    bucketMinutes,
+    timeline
+  };
+}
+
+function renderAnalyticsPanel(session) {
+  const analytics = getSessionAnalytics(session);
+  const busiest = Math.max(1, ...analytics.timeline.map(bucket => bucket.count));
+  
+  return html`
+    <div class="analytics-grid">
+      <div>
+        <div class="info-label">Option Split</div>
+        ${analytics.options.map(option => html`
+          <div class="analytics-bar">
+            <span class="analytics-bar-label"><span class="option-dot" style="background: ${option.color};"></span> ${option.key}: ${option.label}</span>
+            <div class="analytics-bar-track">
+              <div class="analytics-bar-fill" style="width: ${option.percent}%; background: ${option.color};"></div>
+            </div>
+            <span class="analytics-bar-value">${option.count} (${option.percent}%)</span>
+          </div>
+        `)}
+      </div>
+      <div>
+        <div class="info-label">Average Words per Option</div>
+        <div class="analytics-words">
+          ${analytics.options.map(option => html`
+            <div class="analytics-word">
+              <span class="option-dot" style="background: ${option.color};"></span>
+              <strong>${option.key}</strong> ${option.averageWords}
+            </div>
+          `)}
+        </div>
+        <div class="info-label" style="margin-top: 16px;">Submitted</div>
+        <div class="analytics-submitted">${analytics.submittedPercent}%</div>
+        <p style="font-size: 14px; opacity: 0.7;">${analytics.submitters} of ${analytics.participants} joined students</p>
+      </div>
+      <div class="analytics-timeline-block">
+        <div class="info-label">Submissions over Time (${analytics.bucketMinutes} min per bar)</div>
+        <div class="analytics-timeline">
+          ${analytics.timeline.map(bucket => html`
+            <div class="analytics-timeline-bar" style="height: ${Math.round(bucket.count / busiest * 100)}%;" title="${new Date(bucket.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}: ${bucket.count}"></div>
+          `)}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Theme Analysis - offline keyword counts and grouping of bottles that share
+// keywords, so a teacher can skim a class's answers before reading them
+const MAX_THEMES = 6;
+const MAX_CLOUD_WORDS = 40;
+const THEME_RING_RADIUS = 28;
+const STOP_WORDS = new Set((
+  'a about above after again against all also am an and any are aren\'t as at be because been before being below ' +
+  'between both but by can can\'t cannot could couldn\'t did didn\'t do does doesn\'t doing don\'t down during each ' +
+  'even ever every few for from further get gets got had hadn\'t has hasn\'t have haven\'t having he her here hers ' +
+  'herself him himself his how i i\'d i\'ll i\'m i\'ve if in into is isn\'t it it\'s its itself just let\'s like ' +
+  'lot lots made make many may me might more most much must my myself no nor not now of off on once one only or ' +
+  'other our ours ourselves out over own really same she should shouldn\'t so some such than that that\'s the their ' +
+  'theirs them themselves then there there\'s these they they\'re this those through to too under until up us very ' +
+  'was wasn\'t we we\'re were weren\'t what what\'s when where which while who whom why will with won\'t would ' +
+  'wouldn\'t yes you you\'re your yours yourself yourselves think thing things because want wants way well'
+).split(' '));
+
+// Lower-cased content words of a message, with simple plurals folded
+function getMessageKeywords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\p{N}+$/u.test(word))
+    .map(foldPlural);
+}
+
+function foldPlural(word) {
+  if (word.length <= 4) return word;
+  if (/(ch|sh|ss|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/[^su]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Keywords across the bottles, most mentioned first
+function getKeywordCounts(messages, limit = MAX_CLOUD_WORDS) {
+  const counts = new Map();
+  messages.forEach(m => {
+    getMessageKeywords(m.messageText).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  });
+  return [...counts]
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, limit);
+}
+
+// Greedy grouping: the keyword shared by the most unassigned bottles starts
+// a theme, then leftovers join the theme whose keywords they use most.
+// Returns [{ id, label, keywords, messageIds }] with any remainder in 'other'.
+function getSessionThemes(messages) {
+  const keywordSets = new Map(messages.map(m => [m.id, new Set(getMessageKeywords(m.messageText))]));
+  const documentCounts = new Map();
+  keywordSets.forEach(words => {
+    words.forEach(word => documentCounts.set(word, (documentCounts.get(word) || 0) + 1));
+  });
+  
+  const candidates = [...documentCounts]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([word]) => word);
+  
+  let unassigned = messages.map(m => m.id);
+  const themes = [];
+  for (const word of candidates) {
+    if (themes.length >= MAX_THEMES) break;
+    
+    const memberIds = unassigned.filter(id => keywordSets.get(id).has(word));
+    if (memberIds.length < 2) continue;
+    
+    unassigned = unassigned.filter(id => !memberIds.includes(id));
+    themes.push({ id: word, messageIds: memberIds });
+  }
+  
+  themes.forEach(theme => {
+    const counts = new Map();
+    theme.messageIds.forEach(id => {
+      keywordSets.get(id).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    });
+    theme.keywords = [...counts]
+      .sort((a, b) => (b[0] === theme.id) - (a[0] === theme.id) || b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 5)
+      .map(([word]) => word);
+    const partner = theme.keywords[1] && counts.get(theme.keywords[1]) >= 2 ? theme.keywords[1] : null;
+    theme.label = partner ? `${theme.id} · ${partner}` : theme.id;
+  });
+  
+  const leftovers = [];
+  unassigned.forEach(id => {
+    const words = keywordSets.get(id);
+    let best = null;
+    let bestScore = 0;
+    themes.forEach(theme => {
+      const score = theme.keywords.filter(word => words.has(word)).length;
+      if (score > bestScore) {
+        best = theme;
+        bestScore = score;
+      }
+    });
+    if (best) {
+      best.messageIds.push(id);
+    } else {
+      leftovers.push(id);
+    }
+  });
+  
+  if (leftovers.length > 0) {
+    themes.push({ id: 'other', label: 'Other', keywords: [], messageIds: leftovers });
+  }
+  return themes;
+}
+
+// Ocean positions that gather each theme's bottles around its own point on a
+// ring, in place of the session-wide spiral from generateBottlePosition
+function getThemePositions(themes) {
+  const positions = new Map();
+  themes.forEach((theme, i) => {
+    const angle = i / themes.length * Math.PI * 2;
+    const radius = themes.length > 1 ? THEME_RING_RADIUS : 0;
+    theme.messageIds.forEach((id, j) => {
+      const offset = generateBottlePosition(j);
+      positions.set(id, {
+        x: Math.cos(angle) * radius + offset.x * 0.6,
+        y: 0,
+        z: Math.sin(angle) * radius + offset.z * 0.6
+      });
+    });
+  });
+  return positions;
+}
+
+function renderThemePanel(session, themes) {
+  const filter = getReviewFilter(session.id);
+  const keywords = getKeywordCounts(getReviewBaseMessages(session));
+  const top = keywords.length > 0 ? keywords[0].count : 1;
+  
+  return html`
+    <div class="word-cloud" aria-label="Most used words">
+      ${keywords.length > 0 ? keywords.map(({ word, count }) => html`
+        <span class="word-cloud-word" style="font-size: ${Math.round(14 + 22 * count / top)}px; opacity: ${(0.55 + 0.45 * count / top).toFixed(2)};" title="${count} mention${count === 1 ? '' : 's'}">${word}</span>
+      `) : html`<p style="opacity: 0.7;">No words to analyse yet.</p>`}
+    </div>
+    ${themes.length > 0 ? html`
+      <div class="rating-filter" role="group" aria-label="Show bottles for theme">
+        <button class="btn ${filter.theme === null ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.theme === null ? 'true' : 'false'}" onclick="setReviewTheme(${jsArg(session.id)}, null)">All Themes</button>
+        ${themes.map(theme => html`
+          <button class="btn ${filter.theme === theme.id ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.theme === theme.id ? 'true' : 'false'}" onclick="setReviewTheme(${jsArg(session.id)}, ${jsArg(theme.id)})" title="${theme.keywords.join(', ')}">
+            ${theme.label} (${theme.messageIds.length})
+          </button>
+        `)}
+      </div>
+    ` : ''}
+    ${filter.view === 'ocean' ? html`
+      <div class="view-toggle" role="group" aria-label="Arrange bottles">
+        <button class="btn ${filter.layout === 'spiral' ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.layout === 'spiral' ? 'true' : 'false'}" onclick="setReviewLayout(${jsArg(session.id)}, 'spiral')">🌀 Spiral</button>
+        <button class="btn ${filter.layout === 'theme' ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.layout === 'theme' ? 'true' : 'false'}" onclick="setReviewLayout(${jsArg(session.id)}, 'theme')">🏝️ By Theme</button>
+      </div>
+    ` : ''}
+  `;
+}
+
+// Sentiment - offline lexicon scoring in the style of AFINN, with emojis from
+// the composer's picker and simple handling of negation and intensifiers
+const SENTIMENT_LEXICON = {
+  love: 3, loved: 3, amazing: 3, awesome: 3, excellent: 3, fantastic: 3, wonderful: 3, great: 3, best: 3,
+  perfect: 3, happy: 3, excited: 3, brilliant: 3, beautiful: 3, fun: 2, good: 2, nice: 2, like: 2, liked: 2,
+  enjoy: 2, enjoyed: 2, glad: 2, interesting: 2, cool: 2, helpful: 2, useful: 2, better: 2, proud: 2,
+  thanks: 2, thank: 2, kind: 2, friendly: 2, favorite: 2, favourite: 2, lucky: 2, relaxed: 2, confident: 2,
+  hopeful: 2, yay: 2, win: 2, easy: 1, clear: 1, calm: 1, hope: 1, curious: 1, agree: 1, safe: 1, learned: 1,
+  hate: -3, hated: -3, awful: -3, terrible: -3, horrible: -3, worst: -3, angry: -3, stupid: -3,
+  sad: -2, upset: -2, boring: -2, bored: -2, bad: -2, worse: -2, confused: -2, confusing: -2, annoying: -2,
+  annoyed: -2, scared: -2, afraid: -2, worried: -2, worry: -2, stress: -2, stressed: -2, stressful: -2,
+  tired: -2, unfair: -2, wrong: -2, fail: -2, failed: -2, lonely: -2, hurt: -2, sick: -2, cry: -2,
+  nervous: -2, disappointed: -2, frustrated: -2, frustrating: -2, pain: -2, ugly: -2, dumb: -2, unhappy: -2,
+  hard: -1, difficult: -1, dirty: -1, problem: -1, problems: -1, miss: -1, lost: -1,
+  ':)': 2, ':-)': 2, ':D': 3, ':(': -2, ':-(': -2,
+  '😀': 3, '😃': 3, '😄': 3, '😁': 3, '😆': 3, '🤣': 3, '😂': 2, '😅': 1, '🙂': 2, '😉': 1, '😊': 3,
+  '❤': 3, '🧡': 3, '💛': 3, '💚': 3, '💙': 3, '💜': 3, '🤍': 2, '🤎': 2, '💕': 3, '❣': 2, '💔': -3,
+  '👍': 2, '👎': -2, '👌': 2, '✌': 1, '🤞': 1, '🤟': 2, '👏': 2, '🙌': 3, '⭐': 2, '✨': 1, '🌟': 2,
+  '💯': 3, '✅': 1, '❌': -1, '🎉': 3, '🎊': 3, '🏆': 2, '🥇': 2,
+  '😢': -2, '😭': -3, '😞': -2, '😔': -2, '😟': -2, '🙁': -2, '☹': -2, '😕': -1, '😩': -2, '😫': -2,
+  '😒': -2, '😠': -3, '😡': -3, '🤬': -3, '😴': -1
+};
+const SENTIMENT_NEGATORS = new Set(['not', 'no', 'never', 'nothing', 'nobody', 'hardly', 'cannot', 'don\'t',
+  'doesn\'t', 'didn\'t', 'isn\'t', 'wasn\'t', 'aren\'t', 'weren\'t', 'can\'t', 'won\'t', 'wouldn\'t', 'shouldn\'t']);
+const SENTIMENT_INTENSIFIERS = new Set(['very', 'really', 'so', 'super', 'extremely', 'totally']);
+const SENTIMENTS = {
+  positive: { label: 'Positive', emoji: '😊' },
+  neutral: { label: 'Neutral', emoji: '😐' },
+  negative: { label: 'Negative', emoji: '😟' }
+};
+
+// Returns { score, label } with score between -1 and 1
+function scoreSentiment(text) {
+  const tokens = (text || '').replace(/[‘’]/g, '\'').replace(/\uFE0F/g, '')
+    .match(/:-?[()D]|[\p{L}']+|\p{Extended_Pictographic}/gu) || [];
+  
+  let total = 0;
+  let negateFor = 0;
+  let boost = 1;
+  tokens.forEach(token => {
+    const word = token.startsWith(':') ? token : token.toLowerCase();
+    const value = SENTIMENT_LEXICON[word];
+    
+    if (value !== undefined) {
+      // "not good" leans negative rather than becoming the opposite word
+      total += value * boost * (negateFor > 0 ? -0.5 : 1);
+    }
+    
+    boost = SENTIMENT_INTENSIFIERS.has(word) ? 1.5 : 1;
+    negateFor = SENTIMENT_NEGATORS.has(word) ? 3 : Math.max(0, negateFor - 1);
+  });
+  
+  // Same squashing as VADER so long messages do not run off the scale
+  const score = Math.round(total / Math.sqrt(total * total + 15) * 100) / 100;
+  const label = score >= 0.05 ? 'positive' : score <= -0.05 ? 'negative' : 'neutral';
+  return { score, label };
+}
+
+// Bottles from before scoring existed are scored on the fly
+function getMessageSentiment(message) {
+  return message.sentiment || scoreSentiment(message.messageText);
+}
+
+// Red through amber to green
+function getSentimentColor(score) {
+  return `hsl(${Math.round(60 + score * 60)}, 70%, 60%)`;
+}
+
+// Glass tint for sessions that color bottles by mood; cork colors keep
+// showing the option, rating or prompt
+function tintByMood(session, messages) {
+  if (!session.moodColors) return messages;
+  return messages.map(m => ({ ...m, glassColor: getSentimentColor(getMessageSentiment(m).score) }));
+}
+
+function renderMoodPanel(session) {
+  const filter = getReviewFilter(session.id);
+  const messages = getReviewBaseMessages(session);
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  messages.forEach(m => counts[getMessageSentiment(m).label]++);
+  
+  return html`
+    <div class="mood-bar" aria-hidden="true">
+      ${Object.keys(SENTIMENTS).map(key => html`
+        <div class="mood-bar-fill mood-${key}" style="flex-grow: ${counts[key]};"></div>
+      `)}
+    </div>
+    <div class="rating-filter" role="group" aria-label="Show bottles by mood">
+      <button class="btn ${filter.sentiment === 'all' ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.sentiment === 'all' ? 'true' : 'false'}" onclick="setReviewSentiment(${jsArg(session.id)}, 'all')">All Moods</button>
+      ${Object.entries(SENTIMENTS).map(([key, sentiment]) => html`
+        <button class="btn ${filter.sentiment === key ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.sentiment === key ? 'true' : 'false'}" onclick="setReviewSentiment(${jsArg(session.id)}, ${jsArg(key)})" ${counts[key] === 0 ? 'disabled' : ''}>
+          ${sentiment.emoji} ${sentiment.label} (${counts[key]})
+        </button>
+      `)}
+    </div>
+  `;
+}
+
+// Rating Scale - 'scale' sessions ask for a 1–5 or 1–10 rating with labelled
+// ends; the written justification is optional
+const SCALE_SIZES = [5, 10];
+
+function getScale(session) {
+  return { min: 1, max: 5, lowLabel: '', highLabel: '', ...(session.scale || {}) };
+}
+
+function getScaleValues(session) {
+  const scale = getScale(session);
+  const values = [];
+  for (let v = scale.min; v <= scale.max; v++) {
+    values.push(v);
+  }
+  return values;
+}
+
+// Red at the low end through green at the high end
+function getRatingColor(session, rating) {
+  const scale = getScale(session);
+  const hue = ((rating - scale.min) / (scale.max - scale.min)) * 120;
+  return `hsl(${hue}, 70%, 55%)`;
+}
+
+function getRatingCounts(session) {
+  const counts = {};
+  getScaleValues(session).forEach(v => { counts[v] = 0; });
+  getVisibleMessages(session).forEach(m => {
+    if (m.rating !== null && m.rating !== undefined && counts[m.rating] !== undefined) {
+      counts[m.rating]++;
+    }
+  });
+  return counts;
+}
+
+function renderRatingHistogram(session) {
+  const counts = getRatingCounts(session);
+  const highest = Math.max(1, ...Object.values(counts));
+  const scale = getScale(session);
+  
+  return html`
+    <div class="rating-histogram">
+      ${getScaleValues(session).map(value => html`
+        <div class="rating-bar" title="${counts[value]} × ${value}">
+          <div class="rating-bar-count">${counts[value]}</div>
+          <div class="rating-bar-fill" style="height: ${Math.round(counts[value] / highest * 100)}%; background: ${getRatingColor(session, value)};"></div>
+          <div class="rating-bar-label">${value}</div>
+        </div>
+      `)}
+    </div>
+    ${scale.lowLabel || scale.highLabel ? html`
+      <div class="rating-ends">
+        <span>${scale.lowLabel}</span>
+        <span>${scale.highLabel}</span>
+      </div>
+    ` : ''}
+  `;
+}
+
+// Multi-Prompt - 'prompts' sessions ask 2–4 questions in a row under one
+// code. Each answer is its own bottle tagged with a promptIndex.
+const MIN_PROMPTS = 2;
+const MAX_PROMPTS = 4;
+
+function getSessionPrompts(session) {
+  return session.mode === 'prompts' && Array.isArray(session.prompts) ? session.prompts : [];
+}
+
+// The first prompt this student still has room to answer, or -1
+function getNextPromptIndex(session, participantId) {
+  const max = getSubmissionPolicy(session).maxMessagesPerStudent;
+  const own = getOwnMessages(session, participantId);
+  return getSessionPrompts(session).findIndex((prompt, i) =>
+    own.filter(m => m.promptIndex === i).length < max
+  );
+}
+
+function getPromptCounts(session) {
+  return getSessionPrompts(session).map((prompt, i) =>
+    getVisibleMessages(session).filter(m => m.promptIndex === i).length
+  );
+}
+
+function renderPromptCounts(session) {
+  const counts = getPromptCounts(session);
+  return html`
+    <div class="prompt-counts">
+      ${getSessionPrompts(session).map((prompt, i) => html`
+        <div class="prompt-count">
+          <span class="option-dot" style="background: ${OPTION_COLORS[i]};"></span>
+          <span class="prompt-count-text">${i + 1}. ${prompt}</span>
+          <strong>${counts[i]}</strong>
+        </div>
+      `)}
+    </div>
+  `;
+}
+
+// Headline for cards and the student landing page
+function getSessionQuestion(session) {
+  return session.question || getSessionPrompts(session)[0] || null;
+}
+
+function getModeLabel(session) {
+  if (session.mode === 'free') return '✍️ Free Mind';
+  if (session.mode === 'prompts') return '📝 Multi-Prompt';
+  if (session.mode === 'scale') return '📏 Rating Scale';
+  return getSessionOptions(session).length > 2 ? '📊 Poll' : '❓ A/B Question';
+}
+
+// Submission Policy - how many bottles a student may send and whether they
+// can edit or withdraw them while the session is open
+const DEFAULT_SUBMISSION_POLICY = {
+  maxMessagesPerStudent: 1,
+  allowEdit: false,
+  allowWithdraw: false
+};
+
+function getSubmissionPolicy(session) {
+  return { ...DEFAULT_SUBMISSION_POLICY, ...(session.policy || {}) };
+}
+
+// Other devices get bottles from the relay without their participant id, so
+// the writer's device also recognises its own by the author hash
+function getOwnMessages(session, participantId) {
+  const authorHash = StudentIdentity.getAuthorHash(session.id);
+  return session.messages.filter(m => m.participantId === participantId || (!!m.authorHash && m.authorHash === authorHash));
+}
+
+function canSubmitMore(session, participantId) {
+  if (session.mode === 'prompts') {
+    return getNextPromptIndex(session, participantId) !== -1;
+  }
+  return getOwnMessages(session, participantId).length < getSubmissionPolicy(session).maxMessagesPerStudent;
+}
+
+// Session Limits - caps chosen per session when it is created. Sessions
+// created before limits were configurable keep the old fixed values.
+const DEFAULT_SESSION_LIMITS = {
+  maxWords: 100,
+  maxMessages: 100,
+  maxParticipants: 100
+};
+
+const SESSION_LIMIT_RANGES = {
+  maxWords: { min: 10, max: 500, label: 'Words per message' },
+  maxMessages: { min: 1, max: 2000, label: 'Messages per session' },
+  maxParticipants: { min: 1, max: 500, label: 'Participants' },
+  timeoutMinutes: { min: 1, max: 120, label: 'Session timeout' }
+};
+
+function getSessionLimits(session) {
+  return { ...DEFAULT_SESSION_LIMITS, ...(session.limits || {}) };
+}
+
+// Students who already joined keep their seat when the session fills up
+function hasParticipantSeat(session, participantId) {
+  const participants = new Set(session.participants);
+  return participants.has(participantId) || participants.size < getSessionLimits(session).maxParticipants;
+}
+
+// Returns an error message for the first value out of range, or null
+function validateSessionLimits(values) {
+  for (const [key, value] of Object.entries(values)) {
+    const range = SESSION_LIMIT_RANGES[key];
+    if (!Number.isInteger(value) || value < range.min || value > range.max) {
+      return `${range.label} must be a whole number between ${range.min} and ${range.max}`;
+    }
+  }
+  return null;
+}
+
+// Sketches - students can draw in a bottle as well as (or instead of) write.
+// A drawing is kept on the message as a compressed data URL, and each session
+// has a storage budget that all of its drawings share.
+const SKETCH_WIDTH = 480;
+const SKETCH_HEIGHT = 320;
+const SKETCH_QUALITY = 0.6;
+const SKETCH_COLORS = ['#1B2A41', '#FF6B6B', '#4D96FF', '#6BCB77', '#FF9F45'];
+const SKETCH_LIMITS_KB = [0, 512, 2048, 5120];
+const DEFAULT_SKETCH_LIMIT_KB = 2048;
+
+function isSketchURL(value) {
+  return typeof value === 'string' && /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/.test(value);
+}
+
+// localStorage holds about 5 MB for the whole app, every kept session
+// included, so larger budgets are only offered with IndexedDB
+const LOCAL_STORAGE_SKETCH_LIMIT_KB = 512;
+
+function getSketchLimitsKB() {
+  if (SessionManager.storage.name !== 'localstorage') return SKETCH_LIMITS_KB;
+  return SKETCH_LIMITS_KB.filter(kb => kb <= LOCAL_STORAGE_SKETCH_LIMIT_KB);
+}
+
+function getDefaultSketchLimitKB() {
+  return Math.min(DEFAULT_SKETCH_LIMIT_KB, Math.max(...getSketchLimitsKB()));
+}
+
+function getSketchLimit(session) {
+  return Math.min(session.sketchLimitKB ?? DEFAULT_SKETCH_LIMIT_KB, Math.max(...getSketchLimitsKB())) * 1024;
+}
+
+// Decoded size of a data URL, which is what the budget counts
+function getSketchBytes(sketch) {
+  if (!sketch) return 0;
+  const base64 = sketch.slice(sketch.indexOf(',') + 1);
+  return Math.floor(base64.length * 3 / 4) - (base64.match(/=*$/)[0].length);
+}
+
+function getSketchUsage(session, exceptMessageId = null) {
+  return session.messages
+    .filter(m => m.id !== exceptMessageId)
+    .reduce((total, m) => total + getSketchBytes(m.sketch), 0);
+}
+
+function canStoreSketch(session, sketch, exceptMessageId = null) {
+  return getSketchUsage(session, exceptMessageId) + getSketchBytes(sketch) <= getSketchLimit(session);
+}
+
+// Session Management
+function createSession(config) {
+  const id = generateSessionCode();
+  const teacher = TeacherProfile.load();
+  const session = {
+    id,
+    ownerId: teacher.id,
+    ownerHash: TeacherProfile.claim(id),
+    mode: config.mode,
+    question: config.question || null,
+    scale: config.scale || null,
+    prompts: config.prompts || null,
+    options: config.options ? config.options.map((label, i) => ({
+      key: OPTION_KEYS[i],
+      label,
+      color: OPTION_COLORS[i]
+    })) : null,
+    timeout: config.timeout,
+    policy: { ...DEFAULT_SUBMISSION_POLICY, ...(config.policy || {}) },
+    limits: { ...DEFAULT_SESSION_LIMITS, ...(config.limits || {}) },
+    sketchLimitKB: config.sketchLimitKB ?? getDefaultSketchLimitKB(),
+    exchange: config.exchange ? { ...config.exchange, assignments: null, dealtAt: null } : null,
+    moderation: config.moderation || null,
+    moodColors: !!config.moodColors,
+    createdAt: Date.now(),
+    opensAt: config.opensAt || null,
+    closesAt: null,
+    isActive: true,
+    isPaused: false,
+    pausedAt: null,
+    participants: new Set(),
+    messages: []
+  };
+  // The clock starts when the session opens, not when it is prepared
+  session.closesAt = (session.opensAt || session.createdAt) + (session.timeout * 1000);
+  
+  // Save using SessionManager
+  SessionManager.save(id, session);
+  console.log('[App] Created session:', id);
+  
+  // Fire event
+  window.dispatchEvent(new CustomEvent('sessionCreated', { 
+    detail: { sessionId: id, sessionData: session } 
+  }));
+  
+  return session;
+}
+
+function getSession(id) {
+  // Try SessionManager first (localStorage)
+  let session = SessionManager.get(id);
+  
+  // Update in-memory map
+  if (session) {
+    AppState.sessions.set(id, session);
+  }
+  
+  return session;
+}
+
+// Date a change to an existing message. The relay merges whole-session
+// saves message by message and keeps the copy that changed last.
+function touchMessage(message) {
+  message.updatedAt = Date.now();
+}
+
 function addMessage(sessionId, message) {
   const session = getSession(sessionId);
   if (!session) {
@@ -330,30 +1959,93 @@ function addMessage(sessionId, message) {
     return false;
   }
   
-  if (session.messages.length >= 100) {
+  if (!session.isActive) {
+    console.warn('[App] Cannot add message - session closed');
+    return false;
+  }
+  
+  if (session.isPaused) {
+    console.warn('[App] Cannot add message - submissions paused');
+    return false;
+  }
+  
+  if (isSessionUpcoming(session)) {
+    console.warn('[App] Cannot add message - session has not opened yet');
+    return false;
+  }
+  
+  const limits = getSessionLimits(session);
+  if (session.messages.length >= limits.maxMessages) {
     console.warn('[App] Cannot add message - session full');
     return false;
   }
   
+  if (countWords(message.messageText) > limits.maxWords) {
+    console.warn('[App] Cannot add message - over the word limit');
+    return false;
+  }
+  
+  const participantId = StudentIdentity.getParticipantId(sessionId);
+  if (!hasParticipantSeat(session, participantId)) {
+    console.warn('[App] Cannot add message - session is full');
+    return false;
+  }
+  
+  if (!canSubmitMore(session, participantId)) {
+    console.warn('[App] Cannot add message - submission limit reached');
+    return false;
+  }
+  
+  if (message.sketch && (!isSketchURL(message.sketch) || !canStoreSketch(session, message.sketch))) {
+    console.warn('[App] Cannot add message - sketch invalid or over the session budget');
+    return false;
+  }
+  
+  if (session.mode === 'prompts') {
+    const own = getOwnMessages(session, participantId).filter(m => m.promptIndex === message.promptIndex);
+    if (!getSessionPrompts(session)[message.promptIndex] ||
+        own.length >= getSubmissionPolicy(session).maxMessagesPerStudent) {
+      console.warn('[App] Cannot add message - prompt not open for this student:', message.promptIndex);
+      return false;
+    }
+  }
+  
   const messageObj = {
     id: generateId('msg'),
-    participantId: AppState.socketId,
+    participantId,
+    authorHash: StudentIdentity.getAuthorHash(sessionId),
     studentName: message.studentName || null,
     isAnonymous: message.isAnonymous,
     selectedOption: message.selectedOption || null,
+    rating: message.rating ?? null,
+    promptIndex: session.mode === 'prompts' ? message.promptIndex : null,
     messageText: message.messageText,
     wordCount: countWords(message.messageText),
+    sentiment: scoreSentiment(message.messageText),
+    sketch: message.sketch || null,
     timestamp: Date.now(),
     isRead: false,
     bottlePosition: generateBottlePosition(session.messages.length),
     bottleColor: generateBottleColor()
   };
   
+  // Each option has its own cork color so the ocean shows the split
+  const option = messageObj.selectedOption && getOption(session, messageObj.selectedOption);
+  if (option) {
+    messageObj.bottleColor = option.color;
+  } else if (messageObj.rating !== null) {
+    messageObj.bottleColor = getRatingColor(session, messageObj.rating);
+  } else if (messageObj.promptIndex !== null) {
+    messageObj.bottleColor = OPTION_COLORS[messageObj.promptIndex];
+  }
+  
+  applyModeration(session, messageObj);
+  
   // Use SessionManager
   const success = SessionManager.addMessage(sessionId, messageObj);
   if (success) {
-    SessionManager.addParticipant(sessionId, AppState.socketId);
-    emitEvent('messageAdded', { sessionId, message: messageObj });
+    SessionManager.addParticipant(sessionId, participantId);
+    emitEvent('messageAdded', { sessionId, messageId: messageObj.id });
     
     // Fire event
     window.dispatchEvent(new CustomEvent('messageSubmitted', { 
@@ -364,6 +2056,323 @@ function addMessage(sessionId, message) {
   return success;
 }
 
+// Change the student's own message while the policy allows it. An edited
+// bottle counts as unread again so the teacher sees the new text.
+function editMessage(sessionId, messageId, updates) {
+  const session = getSession(sessionId);
+  if (!session || !session.isActive || !getSubmissionPolicy(session).allowEdit) {
+    console.warn('[App] Cannot edit message - not allowed:', sessionId);
+    return false;
+  }
+  
+  const participantId = StudentIdentity.getParticipantId(sessionId);
+  const message = getOwnMessages(session, participantId).find(m => m.id === messageId);
+  if (!message) {
+    console.warn('[App] Cannot edit message - not found or not ours:', messageId);
+    return false;
+  }
+  
+  if (countWords(updates.messageText) > getSessionLimits(session).maxWords) {
+    console.warn('[App] Cannot edit message - over the word limit');
+    return false;
+  }
+  
+  if (updates.sketch && (!isSketchURL(updates.sketch) || !canStoreSketch(session, updates.sketch, messageId))) {
+    console.warn('[App] Cannot edit message - sketch invalid or over the session budget');
+    return false;
+  }
+  
+  const changes = {
+    studentName: updates.studentName || null,
+    isAnonymous: updates.isAnonymous,
+    selectedOption: updates.selectedOption || null,
+    rating: updates.rating ?? null,
+    messageText: updates.messageText,
+    wordCount: countWords(updates.messageText),
+    sentiment: scoreSentiment(updates.messageText),
+    sketch: updates.sketch || null,
+    editedAt: Date.now(),
+    updatedAt: Date.now(),
+    isRead: false
+  };
+  
+  const option = updates.selectedOption && getOption(session, updates.selectedOption);
+  if (option) {
+    changes.bottleColor = option.color;
+  } else if (updates.rating !== null && updates.rating !== undefined) {
+    changes.bottleColor = getRatingColor(session, updates.rating);
+  }
+  
+  // Moderation looks at the edited bottle; a held result travels with the edit
+  const edited = { ...message, ...changes };
+  applyModeration(session, edited);
+  if (edited.moderation) {
+    changes.moderation = edited.moderation;
+  }
+  
+  SessionManager.editMessage(sessionId, messageId, StudentIdentity.getAuthorToken(sessionId), changes);
+  console.log('[App] Edited message:', messageId);
+  emitEvent('messageEdited', { sessionId, messageId });
+  return true;
+}
+
+function withdrawMessage(sessionId, messageId) {
+  const session = getSession(sessionId);
+  if (!session || !session.isActive || !getSubmissionPolicy(session).allowWithdraw) {
+    console.warn('[App] Cannot withdraw message - not allowed:', sessionId);
+    return false;
+  }
+  
+  const participantId = StudentIdentity.getParticipantId(sessionId);
+  if (!getOwnMessages(session, participantId).some(m => m.id === messageId)) {
+    console.warn('[App] Cannot withdraw message - not found or not ours:', messageId);
+    return false;
+  }
+  
+  SessionManager.withdrawMessage(sessionId, messageId, StudentIdentity.getAuthorToken(sessionId));
+  console.log('[App] Withdrew message:', messageId);
+  emitEvent('messageWithdrawn', { sessionId, messageId });
+  return true;
+}
+
+// A teacher reply travels on the message itself. The student's device finds
+// it through its own participant id, so an anonymous bottle can be answered
+// without the teacher ever learning who wrote it.
+const MAX_REPLY_LENGTH = 280;
+
+function replyToMessage(sessionId, messageId, text) {
+  const session = getSession(sessionId);
+  const message = session && session.messages.find(m => m.id === messageId);
+  if (!message) {
+    console.warn('[App] Cannot reply - message not found:', messageId);
+    return false;
+  }
+  
+  const replyText = text.trim();
+  if (!replyText || replyText.length > MAX_REPLY_LENGTH) {
+    console.warn('[App] Cannot reply - empty or too long');
+    return false;
+  }
+  
+  message.reply = { text: replyText, sentAt: Date.now() };
+  message.isRead = true;
+  touchMessage(message);
+  SessionManager.save(sessionId, session);
+  console.log('[App] Replied to message:', messageId);
+  return true;
+}
+
+// Peer Exchange - when an exchange session closes, every student who wrote
+// receives a classmate's bottle. The deal is seeded from the session code so
+// any device that closes the session computes the same assignments.
+function createSeededRandom(seedText) {
+  let seed = 0x811c9dc5;
+  for (let i = 0; i < seedText.length; i++) {
+    seed ^= seedText.charCodeAt(i);
+    seed = Math.imul(seed, 0x01000193) >>> 0;
+  }
+  
+  // mulberry32
+  return function() {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWith(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function isExchangeEligible(message) {
+  return message.exchangeEligible !== false && isMessageVisible(message);
+}
+
+// Returns { participantId: messageId }. Bottles are dealt in rounds from a
+// shuffled pool, so every eligible bottle goes out once before any goes out
+// twice, and nobody ever receives their own.
+function assignExchange(session) {
+  const random = createSeededRandom(`${session.id}:exchange`);
+  const bottles = session.messages
+    .filter(isExchangeEligible)
+    .sort((a, b) => a.timestamp - b.timestamp || a.id.localeCompare(b.id));
+  const receivers = shuffleWith([...new Set(session.messages.map(m => m.participantId))].sort(), random);
+  
+  const assignments = {};
+  const dealt = [];
+  let pool = [];
+  
+  receivers.forEach(receiver => {
+    if (!bottles.some(m => m.participantId !== receiver)) return;
+    
+    let index = pool.findIndex(m => m.participantId !== receiver);
+    
+    // Only this student's own bottles are left in the round: swap with an
+    // earlier student instead of starting the next round early
+    if (index === -1 && pool.length > 0) {
+      const swap = dealt.find(d => d.message.participantId !== receiver);
+      if (swap) {
+        const own = pool.shift();
+        dealt.push({ receiver, message: swap.message });
+        assignments[receiver] = swap.message.id;
+        swap.message = own;
+        assignments[swap.receiver] = own.id;
+        return;
+      }
+    }
+    
+    if (index === -1) {
+      pool = pool.concat(shuffleWith(bottles, random));
+      index = pool.findIndex(m => m.participantId !== receiver);
+    }
+    
+    const [message] = pool.splice(index, 1);
+    dealt.push({ receiver, message });
+    assignments[receiver] = message.id;
+  });
+  
+  return assignments;
+}
+
+function dealExchange(session) {
+  session.exchange.assignments = assignExchange(session);
+  session.exchange.dealtAt = Date.now();
+  console.log('[App] Dealt exchange bottles:', Object.keys(session.exchange.assignments).length);
+}
+
+function getExchangeBottle(session, participantId) {
+  const assignments = session.exchange && session.exchange.assignments;
+  const messageId = assignments && assignments[participantId];
+  return messageId ? session.messages.find(m => m.id === messageId) || null : null;
+}
+
+// Teacher screening. Changing a closed session's pool deals again.
+function setExchangeEligible(sessionId, messageId, eligible) {
+  const session = getSession(sessionId);
+  const message = session && session.messages.find(m => m.id === messageId);
+  if (!message || !session.exchange || !session.exchange.enabled) return false;
+  
+  message.exchangeEligible = eligible;
+  touchMessage(message);
+  if (!session.isActive) {
+    dealExchange(session);
+  }
+  SessionManager.save(sessionId, session);
+  console.log('[App] Exchange eligibility for', messageId, eligible);
+  return true;
+}
+
+// Moderation - optionally hold bottles in a teacher-only queue before they
+// reach the projected ocean or any classmate. Bottles matching the session's
+// blocklist are always held; holdAll holds every bottle. Each decision is
+// appended to message.moderation.history.
+function parseBlocklist(text) {
+  return [...new Set(text.split(/[,\n]/).map(word => word.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Whole words or phrases, case-insensitive, in any script
+function getBlocklistPattern(blocklist) {
+  if (!blocklist || blocklist.length === 0) return null;
+  const words = blocklist.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${words.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function findBlockedWords(session, text) {
+  const pattern = getBlocklistPattern(session.moderation && session.moderation.blocklist);
+  if (!pattern || !text) return [];
+  return [...new Set((text.match(pattern) || []).map(word => word.toLowerCase()))];
+}
+
+// Visible to the class: not moderated, or approved
+function isMessageVisible(message) {
+  return !message.moderation || message.moderation.status === 'approved';
+}
+
+function getVisibleMessages(session) {
+  return session.messages.filter(isMessageVisible);
+}
+
+function getHeldMessages(session) {
+  return session.messages.filter(m => m.moderation && m.moderation.status === 'held');
+}
+
+// Sets message.moderation for a new or edited bottle
+function applyModeration(session, message) {
+  const settings = session.moderation;
+  if (!settings || !settings.enabled) return;
+  
+  const matches = findBlockedWords(session, `${message.messageText} ${message.studentName || ''}`);
+  if (matches.length === 0 && !settings.holdAll) {
+    if (message.moderation) {
+      // Editing a bottle the teacher already judged sends it back to the queue
+      message.moderation.status = 'held';
+      message.moderation.matches = [];
+      message.moderation.history.push({ action: 'held', at: Date.now(), reason: 'edited' });
+    }
+    return;
+  }
+  
+  const history = message.moderation ? message.moderation.history : [];
+  history.push({ action: 'held', at: Date.now(), reason: matches.length > 0 ? 'blocklist' : 'review', matches });
+  message.moderation = { status: 'held', matches, history };
+}
+
+// action: 'approve', 'redact' (blank out matched words, then approve) or 'hide'
+function moderateMessage(sessionId, messageId, action) {
+  const session = getSession(sessionId);
+  const message = session && session.messages.find(m => m.id === messageId);
+  if (!message || !message.moderation) {
+    console.warn('[App] Cannot moderate - message not in the queue:', messageId);
+    return false;
+  }
+  
+  const now = Date.now();
+  if (action === 'redact') {
+    const pattern = getBlocklistPattern(message.moderation.matches);
+    if (pattern) {
+      const blank = (word) => '█'.repeat(word.length);
+      message.messageText = message.messageText.replace(pattern, blank);
+      message.studentName = message.studentName && message.studentName.replace(pattern, blank);
+      // The blanked words no longer count towards the mood
+      message.sentiment = scoreSentiment(message.messageText);
+    }
+    message.moderation.history.push({ action: 'redacted', at: now, matches: message.moderation.matches });
+    message.moderation.matches = [];
+    message.moderation.status = 'approved';
+  } else if (action === 'approve') {
+    message.moderation.history.push({ action: 'approved', at: now });
+    message.moderation.status = 'approved';
+  } else if (action === 'hide') {
+    message.moderation.history.push({ action: 'hidden', at: now });
+    message.moderation.status = 'hidden';
+  } else {
+    return false;
+  }
+  touchMessage(message);
+  
+  if (!session.isActive && session.exchange && session.exchange.enabled) {
+    // A closed session takes no new bottles, so saving it whole is safe
+    dealExchange(session);
+    SessionManager.save(sessionId, session);
+  } else {
+    SessionManager.updateMessage(sessionId, messageId, {
+      messageText: message.messageText,
+      studentName: message.studentName,
+      sentiment: message.sentiment,
+      moderation: message.moderation,
+      updatedAt: message.updatedAt
+    });
+  }
+  console.log('[App] Moderated message:', messageId, action);
+  return true;
+}
+
 function generateBottlePosition(index) {
   const angle = (index * 137.5) * Math.PI / 180; // Golden angle
   const radius = Math.sqrt(index + 1) * 5;
@@ -374,36 +2383,248 @@ function generateBottlePosition(index) {
   };
 }
 
-function closeSession(sessionId) {
+function closeSession(sessionId, reason = 'manual') {
   const session = getSession(sessionId);
   if (session) {
     session.isActive = false;
-    if (session.autoCloseTimer) {
-      clearTimeout(session.autoCloseTimer);
+    session.isPaused = false;
+    session.pausedAt = null;
+    session.closedAt = Date.now();
+    if (session.exchange && session.exchange.enabled) {
+      dealExchange(session);
+    }
+    SessionScheduler.cancel(sessionId);
+    // Save using SessionManager
+    SessionManager.save(sessionId, session);
+    console.log('[App] Closed session:', sessionId, reason);
+    emitEvent('sessionClosed', { sessionId, reason });
+  }
+}
+
+// Scheduled sessions - a session can be prepared ahead of class and open at
+// opensAt. Until then it is upcoming: students can join and wait in the
+// lobby, but no bottles are accepted and the clock has not started.
+const MAX_SCHEDULE_DAYS = 7;
+
+function isSessionUpcoming(session) {
+  return !!(session && session.isActive && session.opensAt && session.opensAt > Date.now());
+}
+
+function getSessionStatus(session) {
+  if (!session.isActive) return 'closed';
+  return isSessionUpcoming(session) ? 'upcoming' : 'active';
+}
+
+function openSessionNow(sessionId) {
+  const session = getSession(sessionId);
+  if (!isSessionUpcoming(session)) return false;
+  
+  // Keep any time the teacher already added
+  const now = Date.now();
+  session.closesAt = now + (session.closesAt - session.opensAt);
+  session.opensAt = now;
+  SessionManager.save(sessionId, session);
+  console.log('[App] Opened scheduled session early:', sessionId);
+  return true;
+}
+
+// Live teacher controls. Each one moves the deadline stored in closesAt;
+// SessionScheduler and startSessionTimer pick it up through sessionChanged.
+function pauseSession(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || !session.isActive || session.isPaused || isSessionUpcoming(session)) return false;
+  
+  session.isPaused = true;
+  session.pausedAt = Date.now();
+  SessionManager.save(sessionId, session);
+  console.log('[App] Paused session:', sessionId);
+  return true;
+}
+
+function resumeSession(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || !session.isActive || !session.isPaused) return false;
+  
+  // The clock stood still while paused
+  session.closesAt = SessionScheduler.getDeadline(session);
+  session.isPaused = false;
+  session.pausedAt = null;
+  SessionManager.save(sessionId, session);
+  console.log('[App] Resumed session:', sessionId);
+  return true;
+}
+
+function extendSession(sessionId, minutes) {
+  const session = getSession(sessionId);
+  if (!session || !session.isActive) return false;
+  
+  session.closesAt = SessionScheduler.getDeadline(session) + minutes * 60 * 1000;
+  if (session.isPaused) {
+    // getDeadline already added the paused time, count it from now on
+    session.pausedAt = Date.now();
+  }
+  SessionManager.save(sessionId, session);
+  console.log('[App] Extended session:', sessionId, 'by', minutes, 'minutes');
+  return true;
+}
+
+function reopenSession(sessionId, minutes) {
+  const session = getSession(sessionId);
+  if (!session || session.isActive) return false;
+  
+  session.isActive = true;
+  session.isPaused = false;
+  session.pausedAt = null;
+  session.closedAt = null;
+  session.closesAt = Date.now() + minutes * 60 * 1000;
+  if (session.exchange) {
+    // Dealt again on the next close, with the new bottles
+    session.exchange.assignments = null;
+  }
+  SessionManager.save(sessionId, session);
+  console.log('[App] Reopened session:', sessionId, 'for', minutes, 'minutes');
+  return true;
+}
+
+// Session Scheduler - owns every active session's deadline, independent of
+// which view is open. Timers can be throttled in background tabs, so a
+// periodic sweep backs them up.
+const SessionScheduler = {
+  timers: new Map(),
+  sweepInterval: null,
+  
+  // setTimeout overflows above ~24.8 days
+  MAX_DELAY: 2147483647,
+  SWEEP_EVERY: 15000,
+  
+  start: function() {
+    this.sweep();
+    Object.keys(SessionManager.getAll()).forEach(id => this.schedule(id));
+    
+    onEvent('sessionChanged', (data) => this.schedule(data.sessionId));
+    this.sweepInterval = setInterval(() => this.sweep(), this.SWEEP_EVERY);
+    console.log('[Scheduler] Started, tracking', this.timers.size, 'sessions');
+  },
+  
+  // A paused session's deadline keeps moving so its remaining time stays put
+  getDeadline: function(session) {
+    const deadline = session.closesAt || session.createdAt + (session.timeout * 1000);
+    if (session.isPaused && session.pausedAt) {
+      return deadline + (Date.now() - session.pausedAt);
+    }
+    return deadline;
+  },
+  
+  schedule: function(sessionId) {
+    this.cancel(sessionId);
+    
+    const session = window.globalSessions[sessionId];
+    if (!session || !session.isActive || session.isPaused) return;
+    
+    const delay = this.getDeadline(session) - Date.now();
+    if (delay <= 0) {
+      this.expire(sessionId);
+      return;
+    }
+    
+    this.timers.set(sessionId, setTimeout(() => {
+      this.timers.delete(sessionId);
+      this.expire(sessionId);
+    }, Math.min(delay, this.MAX_DELAY)));
+  },
+  
+  cancel: function(sessionId) {
+    if (this.timers.has(sessionId)) {
+      clearTimeout(this.timers.get(sessionId));
+      this.timers.delete(sessionId);
+    }
+  },
+  
+  expire: function(sessionId) {
+    const session = window.globalSessions[sessionId];
+    if (!session || !session.isActive || session.isPaused) return;
+    
+    if (this.getDeadline(session) > Date.now()) {
+      // Deadline moved or the timer was clamped
+      this.schedule(sessionId);
+      return;
     }
-    // Save using SessionManager
-    SessionManager.save(sessionId, session);
-    console.log('[App] Closed session:', sessionId);
-    emitEvent('sessionClosed', { sessionId });
+    
+    console.log('[Scheduler] Session expired:', sessionId);
+    if (TeacherProfile.owns(session)) {
+      closeSession(sessionId, 'timeout');
+    } else {
+      this.closeLocally(sessionId);
+    }
+  },
+  
+  // Every device runs the clock, but only the owner's device saves the close
+  // (and deals the exchange). Elsewhere the session just stops taking bottles
+  // here until the owner's version arrives.
+  closeLocally: function(sessionId) {
+    const session = SessionManager.get(sessionId);
+    session.closedAt = this.getDeadline(session);
+    session.isActive = false;
+    SessionManager.write(sessionId, session);
+  },
+  
+  // Close everything that is past its deadline
+  sweep: function() {
+    const now = Date.now();
+    Object.entries(SessionManager.getAll()).forEach(([id, session]) => {
+      if (session.isActive && !session.isPaused && this.getDeadline(session) <= now) {
+        this.expire(id);
+      }
+    });
   }
-}
+};
 
 // Event System
+// Events that every connected device should see, not only this tab
+const SHARED_EVENTS = ['messageAdded', 'messageEdited', 'messageWithdrawn', 'participantJoined', 'sessionClosed'];
+
 function emitEvent(eventName, data) {
   const event = new CustomEvent(eventName, { detail: data });
   window.dispatchEvent(event);
+  
+  if (SHARED_EVENTS.includes(eventName)) {
+    SessionManager.transport.emit(eventName, data);
+    SessionManager.broadcast({ type: 'event', name: eventName, detail: data });
+  }
 }
 
+// Returns a function that removes the listener again
 function onEvent(eventName, callback) {
-  window.addEventListener(eventName, (e) => callback(e.detail));
+  const listener = (e) => callback(e.detail);
+  window.addEventListener(eventName, listener);
+  return () => window.removeEventListener(eventName, listener);
+}
+
+// Route Lifecycle - whatever a view sets up is released when the hash changes
+function onRouteLeave(cleanup) {
+  AppState.routeCleanups.push(cleanup);
+}
+
+function onRouteEvent(eventName, callback) {
+  onRouteLeave(onEvent(eventName, callback));
+}
+
+function routeTimeout(callback, delay) {
+  const timeoutId = setTimeout(callback, delay);
+  onRouteLeave(() => clearTimeout(timeoutId));
+  return timeoutId;
 }
 
-// Polling for updates (simulate real-time)
-function startPolling() {
-  setInterval(() => {
-    // Emit periodic update event
-    emitEvent('stateUpdate', {});
-  }, 500);
+function teardownRoute() {
+  const cleanups = AppState.routeCleanups;
+  AppState.routeCleanups = [];
+  cleanups.forEach(cleanup => {
+    try {
+      cleanup();
+    } catch (e) {
+      console.warn('[Router] Cleanup failed:', e);
+    }
+  });
 }
 
 // Router
@@ -417,19 +2638,31 @@ function setupRouter() {
     
     console.log('[Router] Navigating to:', path, 'params:', params);
     
+    // Release the previous view's listeners, timers and ocean scene
+    teardownRoute();
+    
     switch (path) {
       case '':
         renderLanding();
         break;
       case 'teacher':
+        if (!guardTeacherRoute(['create', 'monitor', 'review', 'moderate', 'report'].includes(params[0]) ? params[1] : null)) {
+          break;
+        }
         if (params[0] === 'dashboard') {
           renderTeacherDashboard();
         } else if (params[0] === 'create') {
-          renderCreateSession();
+          renderCreateSession(params[1] ? params[1].toUpperCase() : null);
+        } else if (params[0] === 'history') {
+          renderSessionHistory();
         } else if (params[0] === 'monitor' && params[1]) {
           renderMonitor(params[1].toUpperCase());
         } else if (params[0] === 'review' && params[1]) {
           renderReview(params[1].toUpperCase());
+        } else if (params[0] === 'moderate' && params[1]) {
+          renderModeration(params[1].toUpperCase());
+        } else if (params[0] === 'report' && params[1]) {
+          renderReport(params[1].toUpperCase());
         } else {
           renderTeacherDashboard();
         }
@@ -437,16 +2670,16 @@ function setupRouter() {
       case 'join':
         if (params[0]) {
           const sessionCode = params[0].trim().toUpperCase();
-          renderStudentLanding(sessionCode);
+          withSession(sessionCode, () => renderStudentLanding(sessionCode));
         } else {
           renderStudentJoin();
         }
         break;
       case 'student':
         if (params[0] === 'compose' && params[1]) {
-          renderComposer(params[1].toUpperCase());
+          withSession(params[1].toUpperCase(), () => renderComposer(params[1].toUpperCase(), params[2] || null));
         } else if (params[0] === 'submitted' && params[1]) {
-          renderSubmitted(params[1].toUpperCase());
+          withSession(params[1].toUpperCase(), () => renderSubmitted(params[1].toUpperCase()));
         } else {
           renderStudentJoin();
         }
@@ -460,13 +2693,68 @@ function setupRouter() {
   handleRoute();
 }
 
+// Student links (e.g. a scanned QR code) may name a session this device has
+// not received from the relay yet
+function withSession(sessionId, render) {
+  if (SessionManager.get(sessionId)) {
+    render();
+    return;
+  }
+  
+  let current = true;
+  onRouteLeave(() => { current = false; });
+  SessionManager.watch([sessionId]).then(() => {
+    if (current) render();
+  });
+}
+
+// Re-run the router for the current hash (e.g. after unlocking)
+function refreshRoute() {
+  window.dispatchEvent(new HashChangeEvent('hashchange'));
+}
+
+// Teacher routes need an unlocked profile, and session routes need ownership
+function guardTeacherRoute(sessionId) {
+  if (!TeacherProfile.load()) {
+    renderTeacherSetup();
+    return false;
+  }
+  
+  if (!TeacherProfile.isUnlocked()) {
+    renderTeacherUnlock();
+    return false;
+  }
+  
+  if (sessionId) {
+    const session = getSession(sessionId.toUpperCase());
+    if (session && !TeacherProfile.owns(session)) {
+      console.warn('[Router] Session not owned by this teacher:', sessionId);
+      showToast('This session belongs to another teacher', 'error');
+      location.hash = '#/teacher/dashboard';
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+// Guard for teacher actions triggered from inline handlers
+function requireSessionOwner(sessionId) {
+  const session = getSession(sessionId);
+  if (!TeacherProfile.isUnlocked() || !TeacherProfile.owns(session)) {
+    showToast('Only the teacher who created this session can do that', 'error');
+    return false;
+  }
+  return true;
+}
+
 // View Renderers
 function renderLanding() {
   const allSessions = SessionManager.getAll();
   const activeSessions = Object.values(allSessions).filter(s => s.isActive);
   
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="landing">
       <h1>🏖️ Message in a Bottle</h1>
       <p>A collaborative learning experience where ideas float freely</p>
@@ -475,24 +2763,24 @@ function renderLanding() {
         <button class="btn btn-secondary btn-large" onclick="location.hash='#/join'">🎓 I'm a Student</button>
       </div>
       
-      ${activeSessions.length > 0 ? `
+      ${activeSessions.length > 0 ? html`
         <div style="margin-top: 48px; padding: 24px; background: rgba(255,255,255,0.8); border-radius: 12px; max-width: 600px;">
           <h3 style="margin-bottom: 16px; color: var(--primary);">📡 Active Sessions (${activeSessions.length})</h3>
           <div style="display: flex; flex-direction: column; gap: 12px;">
             ${activeSessions.map(s => {
               const pCount = s.participants instanceof Set ? s.participants.size : (Array.isArray(s.participants) ? s.participants.length : 0);
-              return `
+              return html`
                 <div style="display: flex; justify-content: space-between; align-items: center; padding: 12px; background: white; border-radius: 8px; border: 2px solid var(--primary);">
                   <div>
                     <strong style="font-family: monospace; font-size: 18px;">${s.id}</strong>
-                    <span style="margin-left: 12px; opacity: 0.7;">${s.mode === 'free' ? '✍️ Free' : '❓ Question'}</span>
+                    <span style="margin-left: 12px; opacity: 0.7;">${getModeLabel(s)}</span>
                   </div>
                   <div style="font-size: 14px; opacity: 0.8;">
                     👥 ${pCount} | 💬 ${s.messages.length}
                   </div>
                 </div>
               `;
-            }).join('')}
+            })}
           </div>
           <button class="btn btn-secondary" onclick="SessionManager.debugInfo()" style="margin-top: 16px; width: 100%;">🔍 Show Debug Info in Console</button>
         </div>
@@ -501,21 +2789,129 @@ function renderLanding() {
   `;
 }
 
+function renderTeacherSetup() {
+  const app = document.getElementById('app');
+  app.innerHTML = html`
+    <div class="header">
+      <h1>👨‍🏫 Set Up Teacher Profile</h1>
+    </div>
+    <div class="container student-join">
+      <div class="card">
+        <p style="text-align: center; opacity: 0.7; margin-bottom: 24px;">
+          Your sessions are tied to this profile. The PIN keeps students from opening your monitor or reading messages on this device.
+        </p>
+        <form onsubmit="handleTeacherSetup(event)">
+          <div class="form-group">
+            <label>Your Name</label>
+            <input type="text" class="form-control" id="teacher-name" placeholder="e.g. Ms. Rivera" required>
+          </div>
+          <div class="form-group">
+            <label>PIN or Passphrase (at least 4 characters)</label>
+            <input type="password" class="form-control" id="teacher-pin" minlength="4" required autocomplete="new-password">
+          </div>
+          <div class="form-group">
+            <label>Repeat PIN</label>
+            <input type="password" class="form-control" id="teacher-pin-confirm" minlength="4" required autocomplete="new-password">
+          </div>
+          <button type="submit" class="btn btn-primary btn-full btn-large">Create Profile</button>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+async function handleTeacherSetup(event) {
+  event.preventDefault();
+  
+  const name = document.getElementById('teacher-name').value.trim();
+  const pin = document.getElementById('teacher-pin').value;
+  const confirmPin = document.getElementById('teacher-pin-confirm').value;
+  
+  if (!name || pin.length < 4) {
+    showToast('Please enter your name and a PIN of at least 4 characters', 'error');
+    return;
+  }
+  
+  if (pin !== confirmPin) {
+    showToast('PINs do not match', 'error');
+    return;
+  }
+  
+  await TeacherProfile.create(name, pin);
+  showToast(`Welcome, ${name}!`, 'success');
+  refreshRoute();
+}
+
+function renderTeacherUnlock() {
+  const teacher = TeacherProfile.load();
+  
+  const app = document.getElementById('app');
+  app.innerHTML = html`
+    <div class="header">
+      <h1>🔒 Teacher Access</h1>
+    </div>
+    <div class="container student-join">
+      <div class="card">
+        <h2 style="text-align: center; margin-bottom: 24px;">Welcome back, ${teacher.name}</h2>
+        <form onsubmit="handleTeacherUnlock(event)">
+          <div class="form-group">
+            <input type="password" class="form-control" id="teacher-pin" placeholder="Enter your PIN" required autocomplete="current-password">
+          </div>
+          <button type="submit" class="btn btn-primary btn-full btn-large">Unlock</button>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+async function handleTeacherUnlock(event) {
+  event.preventDefault();
+  
+  const pin = document.getElementById('teacher-pin').value;
+  if (await TeacherProfile.unlock(pin)) {
+    refreshRoute();
+  } else {
+    showToast('Incorrect PIN', 'error');
+    document.getElementById('teacher-pin').value = '';
+  }
+}
+
+function handleTeacherLock() {
+  TeacherProfile.lock();
+  showToast('Teacher area locked', 'info');
+  location.hash = '#/';
+}
+
+// The dashboard shows the latest few; the rest live in the history view
+const RECENT_CLOSED_SESSIONS = 3;
+
 function renderTeacherDashboard() {
   // Load from SessionManager
   const allSessions = SessionManager.getAll();
-  const sessions = Object.values(allSessions);
-  const activeSessions = sessions.filter(s => s.isActive);
+  const teacher = TeacherProfile.load();
+  const sessions = Object.values(allSessions).filter(s => TeacherProfile.owns(s));
+  const activeSessions = sessions.filter(s => getSessionStatus(s) === 'active');
+  const upcomingSessions = sessions.filter(s => getSessionStatus(s) === 'upcoming').sort((a, b) => a.opensAt - b.opensAt);
+  const closedSessions = sessions.filter(s => getSessionStatus(s) === 'closed').sort((a, b) => (b.closedAt || b.createdAt) - (a.closedAt || a.createdAt));
   
-  console.log('[Teacher] Dashboard - Total sessions:', sessions.length, 'Active:', activeSessions.length);
+  console.log('[Teacher] Dashboard - Owned sessions:', sessions.length, 'Active:', activeSessions.length, 'Upcoming:', upcomingSessions.length);
   
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
       <h1>📊 Teacher Dashboard</h1>
     </div>
     <div class="container dashboard">
-      <h2>Your Sessions</h2>
+      <div class="dashboard-title">
+        <h2>Your Sessions</h2>
+        <div class="teacher-badge">
+          <span>👤 ${teacher.name}</span>
+          <input type="file" id="archive-file" accept=".json,application/json" hidden onchange="handleImportArchive(this)">
+          <button class="btn btn-secondary" onclick="location.hash='#/teacher/history'">🗂️ History</button>
+          <button class="btn btn-secondary" onclick="document.getElementById('archive-file').click()">📂 Import Archive</button>
+          <button class="btn btn-secondary" onclick="handleTeacherLock()">🔒 Lock</button>
+        </div>
+      </div>
       <div class="session-grid">
         <div class="card" onclick="location.hash='#/teacher/create'" style="cursor: pointer; display: flex; align-items: center; justify-content: center; min-height: 200px; border: 2px dashed var(--primary);">
           <div style="text-align: center;">
@@ -523,31 +2919,208 @@ function renderTeacherDashboard() {
             <h3>Create New Session</h3>
           </div>
         </div>
-        ${activeSessions.map(session => {
-          const participantCount = session.participants instanceof Set ? session.participants.size : (Array.isArray(session.participants) ? session.participants.length : 0);
-          return `
-          <div class="card session-card" onclick="location.hash='#/teacher/monitor/${session.id}'">
-            <div class="session-info">
-              <h3>${session.mode === 'free' ? '✍️ Free Mind' : '❓ A/B Question'}</h3>
-              <p>${session.question || 'Open thoughts and ideas'}</p>
-            </div>
-            <div class="session-code">${session.id}</div>
-            <div class="session-info">
-              <p>👥 ${participantCount} participants</p>
-              <p>💬 ${session.messages.length} messages</p>
+        ${activeSessions.map(renderSessionCard)}
+      </div>
+      
+      ${upcomingSessions.length > 0 ? html`
+        <h3 class="dashboard-section-title">🕒 Upcoming (${upcomingSessions.length})</h3>
+        <div class="session-grid">
+          ${upcomingSessions.map(renderSessionCard)}
+        </div>
+      ` : ''}
+      
+      ${closedSessions.length > 0 ? html`
+        <h3 class="dashboard-section-title">📦 Recently Closed</h3>
+        <div class="session-grid">
+          ${closedSessions.slice(0, RECENT_CLOSED_SESSIONS).map(renderSessionCard)}
+        </div>
+        <div style="text-align: center; margin-top: 16px;">
+          <button class="btn btn-secondary" onclick="location.hash='#/teacher/history'">🗂️ All ${closedSessions.length} past sessions</button>
+        </div>
+      ` : ''}
+    </div>
+  `;
+  
+  // Upcoming sessions move to the active list when they open
+  if (upcomingSessions.length > 0) {
+    routeTimeout(refreshRoute, Math.min(upcomingSessions[0].opensAt - Date.now() + 500, SessionScheduler.MAX_DELAY));
+  }
+}
+
+// Session History - every closed session this teacher still has, grouped
+// by the day it closed
+function renderSessionHistory() {
+  const days = RetentionPolicy.load();
+  
+  const app = document.getElementById('app');
+  app.innerHTML = html`
+    <div class="header">
+      <h1>🗂️ Session History</h1>
+    </div>
+    <div class="container dashboard">
+      <div class="card history-toolbar">
+        <input type="search" class="form-control" id="history-search" placeholder="Search by question or session code" aria-label="Search past sessions" value="${AppState.historySearch}" oninput="setHistorySearch(this.value)">
+        <label class="history-retention">
+          <span>Delete closed sessions</span>
+          <select class="form-control" id="retention-days" onchange="handleRetentionChange(this.value)">
+            ${RetentionPolicy.OPTIONS.map(option => html`
+              <option value="${option}" ${option === days ? 'selected' : ''}>${RetentionPolicy.describe(option)}</option>
+            `)}
+          </select>
+        </label>
+      </div>
+      
+      <div id="history-list"></div>
+      
+      <div style="display: flex; gap: 16px; justify-content: center; margin-top: 24px;">
+        <button class="btn btn-secondary" onclick="location.hash='#/teacher/dashboard'">🏠 Back to Dashboard</button>
+      </div>
+    </div>
+  `;
+  
+  updateSessionHistory();
+  onRouteEvent('sessionsUpdated', updateSessionHistory);
+}
+
+function getHistorySessions() {
+  const search = AppState.historySearch.trim().toLowerCase();
+  
+  return Object.values(SessionManager.getAll())
+    .filter(s => TeacherProfile.owns(s) && getSessionStatus(s) === 'closed')
+    .filter(s => !search || [
+      s.id,
+      getSessionQuestion(s) || '',
+      ...getSessionOptions(s).map(o => o.label),
+      ...getSessionPrompts(s)
+    ].some(text => text.toLowerCase().includes(search)))
+    .sort((a, b) => (b.closedAt || b.createdAt) - (a.closedAt || a.createdAt));
+}
+
+// 'Today', 'Yesterday' or the calendar date
+function getHistoryDateLabel(timestamp) {
+  const day = new Date(timestamp).setHours(0, 0, 0, 0);
+  const today = new Date().setHours(0, 0, 0, 0);
+  if (day === today) return 'Today';
+  if (today - day <= 24 * 60 * 60 * 1000) return 'Yesterday';
+  return new Date(timestamp).toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function updateSessionHistory() {
+  const container = document.getElementById('history-list');
+  if (!container) return;
+  
+  const sessions = getHistorySessions();
+  const groups = [];
+  sessions.forEach(session => {
+    const label = getHistoryDateLabel(session.closedAt || session.createdAt);
+    const group = groups[groups.length - 1];
+    if (group && group.label === label) {
+      group.sessions.push(session);
+    } else {
+      groups.push({ label, sessions: [session] });
+    }
+  });
+  
+  container.innerHTML = groups.length === 0 ? html`
+    <div class="card" style="text-align: center; opacity: 0.7;">
+      ${AppState.historySearch.trim() ? 'No past sessions match your search.' : 'Closed sessions will appear here.'}
+    </div>
+  ` : groups.map(group => html`
+    <h3 class="dashboard-section-title">${group.label} (${group.sessions.length})</h3>
+    <div class="history-group">
+      ${group.sessions.map(session => html`
+        <div class="card history-item">
+          <div class="history-item-info">
+            <div class="history-item-title">
+              <span class="session-code">${session.id}</span>
+              <span>${getModeLabel(session)}</span>
+              ${session.importedAt ? html`<span class="history-tag">Imported</span>` : ''}
             </div>
+            <p>${getSessionQuestion(session) || 'Open thoughts and ideas'}</p>
+            <p class="history-item-meta">
+              🕒 ${new Date(session.closedAt || session.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              · 👥 ${new Set(session.participants).size} participants
+              · 💬 ${session.messages.length} messages
+            </p>
           </div>
-        `}).join('')}
+          <div class="history-item-actions">
+            <button class="btn btn-primary" onclick="location.hash=${jsArg('#/teacher/review/' + session.id)}">📖 Review</button>
+            <button class="btn btn-secondary" onclick="location.hash=${jsArg('#/teacher/create/' + session.id)}">📄 Duplicate</button>
+            <button class="btn btn-secondary" onclick="handleDeleteSession(${jsArg(session.id)})" aria-label="Delete session ${session.id}">🗑️ Delete</button>
+          </div>
+        </div>
+      `)}
+    </div>
+  `);
+}
+
+function setHistorySearch(value) {
+  AppState.historySearch = value;
+  updateSessionHistory();
+}
+
+function handleRetentionChange(value) {
+  const days = Number(value);
+  if (!RetentionPolicy.OPTIONS.includes(days)) return;
+  
+  RetentionPolicy.store(days);
+  const cleaned = cleanupSessions();
+  showToast(cleaned > 0 ? `Retention updated, ${cleaned} old session${cleaned === 1 ? '' : 's'} deleted` : 'Retention updated', 'success');
+  updateSessionHistory();
+}
+
+function deleteSession(sessionId) {
+  SessionScheduler.cancel(sessionId);
+  SessionManager.delete(sessionId);
+  TeacherProfile.release(sessionId);
+  delete AppState.reviewFilters[sessionId];
+  console.log('[App] Deleted session:', sessionId);
+}
+
+function handleDeleteSession(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  if (!confirm(`Delete session ${sessionId} and all of its messages? This cannot be undone.`)) return;
+  
+  deleteSession(sessionId);
+  showToast('Session deleted', 'success');
+  updateSessionHistory();
+}
+
+function renderSessionCard(session) {
+  const participantCount = session.participants instanceof Set ? session.participants.size : (Array.isArray(session.participants) ? session.participants.length : 0);
+  const status = getSessionStatus(session);
+  const target = status === 'closed' ? '#/teacher/review/' : '#/teacher/monitor/';
+  
+  return html`
+    <div class="card session-card session-${status}" onclick="location.hash=${jsArg(target + session.id)}">
+      <div class="session-info">
+        <h3>${getModeLabel(session)}</h3>
+        <p>${getSessionQuestion(session) || 'Open thoughts and ideas'}</p>
+      </div>
+      <div class="session-code">${session.id}</div>
+      <div class="session-info">
+        ${status === 'upcoming' ? html`
+          <p>🕒 Opens ${new Date(session.opensAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}</p>
+          <p>👥 ${participantCount} waiting in the lobby</p>
+        ` : html`
+          <p>👥 ${participantCount} participants</p>
+          <p>💬 ${session.messages.length} messages</p>
+        `}
+        ${status === 'closed' && session.closedAt ? html`
+          <p>📦 Closed ${new Date(session.closedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</p>
+        ` : ''}
       </div>
     </div>
   `;
 }
 
-function renderCreateSession() {
+function renderCreateSession(sourceId = null) {
+  const source = sourceId ? getSession(sourceId) : null;
+  
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
-      <h1>✨ Create New Session</h1>
+      <h1>${source ? '📄 Duplicate Session' : '✨ Create New Session'}</h1>
     </div>
     <div class="container create-session">
       <div class="card">
@@ -561,8 +3134,24 @@ function renderCreateSession() {
               </label>
               <label class="radio-option">
                 <input type="radio" name="mode" value="question" onchange="toggleQuestionFields()">
-                <span>❓ A/B Question Mode</span>
+                <span>❓ Question / Poll Mode</span>
               </label>
+              <label class="radio-option">
+                <input type="radio" name="mode" value="scale" onchange="toggleQuestionFields()">
+                <span>📏 Rating Scale Mode</span>
+              </label>
+              <label class="radio-option">
+                <input type="radio" name="mode" value="prompts" onchange="toggleQuestionFields()">
+                <span>📝 Multi-Prompt (Exit Ticket)</span>
+              </label>
+            </div>
+          </div>
+          
+          <div id="prompt-fields" style="display: none;">
+            <div class="form-group">
+              <label>Prompts (${MIN_PROMPTS}–${MAX_PROMPTS}, asked in this order)</label>
+              <div id="prompt-list"></div>
+              <button type="button" class="btn btn-secondary" id="add-prompt-btn" onclick="addPromptField()">➕ Add Prompt</button>
             </div>
           </div>
           
@@ -571,19 +3160,125 @@ function renderCreateSession() {
               <label>Your Question</label>
               <input type="text" class="form-control" id="question" placeholder="What would you like to ask?">
             </div>
-            <div class="form-group">
-              <label>Option A</label>
-              <input type="text" class="form-control" id="optionA" placeholder="First option">
+            <div class="form-group" id="option-fields">
+              <label>Options (${MIN_OPTIONS}–${MAX_OPTIONS})</label>
+              <div id="option-list"></div>
+              <button type="button" class="btn btn-secondary" id="add-option-btn" onclick="addOptionField()">➕ Add Option</button>
             </div>
-            <div class="form-group">
-              <label>Option B</label>
-              <input type="text" class="form-control" id="optionB" placeholder="Second option">
+            <div id="scale-fields">
+              <div class="form-group">
+                <label>Scale</label>
+                <select class="form-control" id="scale-max">
+                  ${SCALE_SIZES.map(size => html`<option value="${size}">1 to ${size}</option>`)}
+                </select>
+              </div>
+              <div class="form-group">
+                <label>Low End Label</label>
+                <input type="text" class="form-control" id="scale-low" placeholder="e.g. Totally lost">
+              </div>
+              <div class="form-group">
+                <label>High End Label</label>
+                <input type="text" class="form-control" id="scale-high" placeholder="e.g. Got it completely">
+              </div>
             </div>
           </div>
           
           <div class="form-group">
             <label>Session Timeout (minutes)</label>
-            <input type="number" class="form-control" id="timeout" min="1" max="10" value="2">
+            <input type="number" class="form-control" id="timeout" min="${SESSION_LIMIT_RANGES.timeoutMinutes.min}" max="${SESSION_LIMIT_RANGES.timeoutMinutes.max}" value="2">
+          </div>
+          
+          <div class="form-group">
+            <label>Opens</label>
+            <div class="radio-group">
+              <label class="radio-option">
+                <input type="radio" name="opens" value="now" checked onchange="toggleScheduleField()">
+                <span>▶️ Right away</span>
+              </label>
+              <label class="radio-option">
+                <input type="radio" name="opens" value="later" onchange="toggleScheduleField()">
+                <span>🕒 At a set time</span>
+              </label>
+            </div>
+            <input type="datetime-local" class="form-control" id="opens-at" style="display: none; margin-top: 8px;" aria-label="Opening time">
+            <p id="schedule-hint" style="display: none; font-size: 14px; opacity: 0.7; margin-top: 8px;">
+              Students who scan the code early wait in a lobby until the session opens.
+            </p>
+          </div>
+          
+          <div class="form-group">
+            <label>Limits</label>
+            <div class="limit-fields">
+              <label class="limit-field">
+                <span>Words per message</span>
+                <input type="number" class="form-control" id="max-words" min="${SESSION_LIMIT_RANGES.maxWords.min}" max="${SESSION_LIMIT_RANGES.maxWords.max}" value="${DEFAULT_SESSION_LIMITS.maxWords}">
+              </label>
+              <label class="limit-field">
+                <span>Messages in total</span>
+                <input type="number" class="form-control" id="max-session-messages" min="${SESSION_LIMIT_RANGES.maxMessages.min}" max="${SESSION_LIMIT_RANGES.maxMessages.max}" value="${DEFAULT_SESSION_LIMITS.maxMessages}">
+              </label>
+              <label class="limit-field">
+                <span>Participants</span>
+                <input type="number" class="form-control" id="max-participants" min="${SESSION_LIMIT_RANGES.maxParticipants.min}" max="${SESSION_LIMIT_RANGES.maxParticipants.max}" value="${DEFAULT_SESSION_LIMITS.maxParticipants}">
+              </label>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Bottles per Student</label>
+            <input type="number" class="form-control" id="max-messages" min="1" max="10" value="1">
+            <div class="checkbox-group">
+              <input type="checkbox" id="allow-edit">
+              <label for="allow-edit">Students can edit their bottles until the session closes</label>
+            </div>
+            <div class="checkbox-group">
+              <input type="checkbox" id="allow-withdraw">
+              <label for="allow-withdraw">Students can withdraw their bottles</label>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Peer Exchange</label>
+            <div class="checkbox-group">
+              <input type="checkbox" id="exchange-enabled" onchange="document.getElementById('exchange-names-group').style.display = this.checked ? 'flex' : 'none'">
+              <label for="exchange-enabled">When the session closes, every student who wrote receives a classmate's bottle</label>
+            </div>
+            <div class="checkbox-group" id="exchange-names-group" style="display: none;">
+              <input type="checkbox" id="exchange-names">
+              <label for="exchange-names">Show writers' names to classmates (anonymous bottles always stay anonymous)</label>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Moderation</label>
+            <div class="checkbox-group">
+              <input type="checkbox" id="moderation-enabled" onchange="document.getElementById('moderation-fields').style.display = this.checked ? 'block' : 'none'">
+              <label for="moderation-enabled">Hold flagged bottles for review before they reach the ocean</label>
+            </div>
+            <div id="moderation-fields" style="display: none; margin-top: 8px;">
+              <textarea class="textarea form-control" id="blocklist" placeholder="Blocked words or phrases, separated by commas or new lines"></textarea>
+              <div class="checkbox-group">
+                <input type="checkbox" id="moderation-hold-all">
+                <label for="moderation-hold-all">Hold every bottle until I approve it</label>
+              </div>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Mood Colors</label>
+            <div class="checkbox-group">
+              <input type="checkbox" id="mood-colors">
+              <label for="mood-colors">Tint bottles in the ocean by the mood of their message</label>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Sketch Storage</label>
+            <select class="form-control" id="sketch-limit">
+              ${getSketchLimitsKB().map(kb => html`
+                <option value="${kb}" ${kb === getDefaultSketchLimitKB() ? 'selected' : ''}>${kb === 0 ? 'No sketches' : formatBytes(kb * 1024) + ' shared by the class'}</option>
+              `)}
+            </select>
           </div>
           
           <div style="display: flex; gap: 16px;">
@@ -594,40 +3289,287 @@ function renderCreateSession() {
       </div>
     </div>
   `;
+  
+  if (source) {
+    fillCreateForm(source);
+    return;
+  }
+  
+  for (let i = 0; i < MIN_OPTIONS; i++) {
+    addOptionField();
+  }
+  for (let i = 0; i < MIN_PROMPTS; i++) {
+    addPromptField();
+  }
+}
+
+// Copy an earlier session's setup into the create form. Timing always starts
+// fresh: the new session opens right away unless the teacher schedules it.
+function fillCreateForm(session) {
+  const options = getSessionOptions(session).map(o => o.label);
+  const prompts = getSessionPrompts(session);
+  const scale = getScale(session);
+  const limits = getSessionLimits(session);
+  const policy = getSubmissionPolicy(session);
+  
+  document.querySelector(`input[name="mode"][value="${session.mode}"]`).checked = true;
+  toggleQuestionFields();
+  
+  document.getElementById('question').value = session.question || '';
+  (options.length >= MIN_OPTIONS ? options : Array(MIN_OPTIONS).fill('')).forEach(label => addOptionField(label));
+  (prompts.length >= MIN_PROMPTS ? prompts : Array(MIN_PROMPTS).fill('')).forEach(prompt => addPromptField(prompt));
+  if (SCALE_SIZES.includes(scale.max)) {
+    document.getElementById('scale-max').value = scale.max;
+  }
+  document.getElementById('scale-low').value = scale.lowLabel;
+  document.getElementById('scale-high').value = scale.highLabel;
+  
+  document.getElementById('timeout').value = Math.round(session.timeout / 60);
+  document.getElementById('max-words').value = limits.maxWords;
+  document.getElementById('max-session-messages').value = limits.maxMessages;
+  document.getElementById('max-participants').value = limits.maxParticipants;
+  document.getElementById('max-messages').value = policy.maxMessagesPerStudent;
+  document.getElementById('allow-edit').checked = policy.allowEdit;
+  document.getElementById('allow-withdraw').checked = policy.allowWithdraw;
+  
+  if (session.exchange && session.exchange.enabled) {
+    document.getElementById('exchange-enabled').checked = true;
+    document.getElementById('exchange-names').checked = !!session.exchange.showNames;
+    document.getElementById('exchange-names-group').style.display = 'flex';
+  }
+  if (session.moderation && session.moderation.enabled) {
+    document.getElementById('moderation-enabled').checked = true;
+    document.getElementById('moderation-hold-all').checked = !!session.moderation.holdAll;
+    document.getElementById('blocklist').value = (session.moderation.blocklist || []).join('\n');
+    document.getElementById('moderation-fields').style.display = 'block';
+  }
+  document.getElementById('mood-colors').checked = !!session.moodColors;
+  if (getSketchLimitsKB().includes(getSketchLimit(session) / 1024)) {
+    document.getElementById('sketch-limit').value = getSketchLimit(session) / 1024;
+  }
+}
+
+function addOptionField(value = '') {
+  const list = document.getElementById('option-list');
+  const count = list.querySelectorAll('.option-row').length;
+  if (count >= MAX_OPTIONS) return;
+  
+  const row = document.createElement('div');
+  row.className = 'option-row';
+  row.innerHTML = html`
+    <span class="option-key"></span>
+    <input type="text" class="form-control option-input" value="${value}">
+    <button type="button" class="btn btn-secondary option-remove" onclick="removeOptionField(this)" aria-label="Remove option">✕</button>
+  `;
+  list.appendChild(row);
+  updateOptionFields();
+}
+
+function removeOptionField(button) {
+  button.closest('.option-row').remove();
+  updateOptionFields();
+}
+
+// Re-letter the rows and enforce the 2–6 bounds
+function updateOptionFields() {
+  const rows = document.querySelectorAll('#option-list .option-row');
+  rows.forEach((row, i) => {
+    row.querySelector('.option-key').textContent = OPTION_KEYS[i];
+    row.querySelector('.option-key').style.background = OPTION_COLORS[i];
+    row.querySelector('.option-input').placeholder = `Option ${OPTION_KEYS[i]}`;
+    row.querySelector('.option-remove').disabled = rows.length <= MIN_OPTIONS;
+  });
+  document.getElementById('add-option-btn').disabled = rows.length >= MAX_OPTIONS;
+}
+
+function addPromptField(value = '') {
+  const list = document.getElementById('prompt-list');
+  if (list.querySelectorAll('.option-row').length >= MAX_PROMPTS) return;
+  
+  const row = document.createElement('div');
+  row.className = 'option-row';
+  row.innerHTML = html`
+    <span class="option-key"></span>
+    <input type="text" class="form-control prompt-input" value="${value}">
+    <button type="button" class="btn btn-secondary option-remove" onclick="removePromptField(this)" aria-label="Remove prompt">✕</button>
+  `;
+  list.appendChild(row);
+  updatePromptFields();
+}
+
+function removePromptField(button) {
+  button.closest('.option-row').remove();
+  updatePromptFields();
+}
+
+function updatePromptFields() {
+  const rows = document.querySelectorAll('#prompt-list .option-row');
+  rows.forEach((row, i) => {
+    row.querySelector('.option-key').textContent = i + 1;
+    row.querySelector('.option-key').style.background = OPTION_COLORS[i];
+    row.querySelector('.prompt-input').placeholder = `Prompt ${i + 1}`;
+    row.querySelector('.option-remove').disabled = rows.length <= MIN_PROMPTS;
+  });
+  document.getElementById('add-prompt-btn').disabled = rows.length >= MAX_PROMPTS;
+}
+
+function toggleScheduleField() {
+  const later = document.querySelector('input[name="opens"]:checked').value === 'later';
+  const input = document.getElementById('opens-at');
+  input.style.display = later ? 'block' : 'none';
+  document.getElementById('schedule-hint').style.display = later ? 'block' : 'none';
+  
+  if (later && !input.value) {
+    // Suggest the next quarter hour, in local time as the input expects
+    const next = new Date(Math.ceil((Date.now() + 60000) / (15 * 60000)) * 15 * 60000);
+    input.value = new Date(next.getTime() - next.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
 }
 
 function toggleQuestionFields() {
   const mode = document.querySelector('input[name="mode"]:checked').value;
   const fields = document.getElementById('question-fields');
-  fields.style.display = mode === 'question' ? 'block' : 'none';
+  fields.style.display = mode === 'question' || mode === 'scale' ? 'block' : 'none';
+  document.getElementById('prompt-fields').style.display = mode === 'prompts' ? 'block' : 'none';
+  document.getElementById('option-fields').style.display = mode === 'question' ? 'block' : 'none';
+  document.getElementById('scale-fields').style.display = mode === 'scale' ? 'block' : 'none';
 }
 
 function handleCreateSession(event) {
   event.preventDefault();
   
   const mode = document.querySelector('input[name="mode"]:checked').value;
-  const timeout = parseInt(document.getElementById('timeout').value) * 60;
+  const timeoutMinutes = Number(document.getElementById('timeout').value);
+  const limits = {
+    maxWords: Number(document.getElementById('max-words').value),
+    maxMessages: Number(document.getElementById('max-session-messages').value),
+    maxParticipants: Number(document.getElementById('max-participants').value)
+  };
+  
+  const limitError = validateSessionLimits({ ...limits, timeoutMinutes });
+  if (limitError) {
+    showToast(limitError, 'error');
+    return;
+  }
+  
+  const maxMessagesPerStudent = parseInt(document.getElementById('max-messages').value);
+  if (!maxMessagesPerStudent || maxMessagesPerStudent < 1 || maxMessagesPerStudent > 10) {
+    showToast('Bottles per student must be between 1 and 10', 'error');
+    return;
+  }
+  
+  let opensAt = null;
+  if (document.querySelector('input[name="opens"]:checked').value === 'later') {
+    opensAt = new Date(document.getElementById('opens-at').value).getTime();
+    if (!opensAt || opensAt <= Date.now()) {
+      showToast('Please pick an opening time in the future', 'error');
+      return;
+    }
+    if (opensAt - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      showToast(`Sessions can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead`, 'error');
+      return;
+    }
+  }
+  
+  if (maxMessagesPerStudent > limits.maxMessages) {
+    showToast('Bottles per student cannot exceed the messages allowed in total', 'error');
+    return;
+  }
   
   const config = {
     mode,
-    timeout
+    timeout: timeoutMinutes * 60,
+    opensAt,
+    limits,
+    policy: {
+      maxMessagesPerStudent,
+      allowEdit: document.getElementById('allow-edit').checked,
+      allowWithdraw: document.getElementById('allow-withdraw').checked
+    },
+    sketchLimitKB: parseInt(document.getElementById('sketch-limit').value),
+    exchange: document.getElementById('exchange-enabled').checked ? {
+      enabled: true,
+      showNames: document.getElementById('exchange-names').checked
+    } : null,
+    moodColors: document.getElementById('mood-colors').checked
   };
   
+  if (document.getElementById('moderation-enabled').checked) {
+    config.moderation = {
+      enabled: true,
+      holdAll: document.getElementById('moderation-hold-all').checked,
+      blocklist: parseBlocklist(document.getElementById('blocklist').value)
+    };
+    
+    if (config.moderation.blocklist.length === 0 && !config.moderation.holdAll) {
+      showToast('Add some blocked words or choose to hold every bottle', 'error');
+      return;
+    }
+  }
+  
+  if (!getSketchLimitsKB().includes(config.sketchLimitKB)) {
+    showToast('Please choose a sketch storage size', 'error');
+    return;
+  }
+  
   if (mode === 'question') {
     config.question = document.getElementById('question').value.trim();
-    config.optionA = document.getElementById('optionA').value.trim();
-    config.optionB = document.getElementById('optionB').value.trim();
+    config.options = Array.from(document.querySelectorAll('#option-list .option-input')).map(input => input.value.trim());
     
-    if (!config.question || !config.optionA || !config.optionB) {
+    if (!config.question || config.options.some(label => !label)) {
       showToast('Please fill in all question fields', 'error');
       return;
     }
+    
+    if (config.options.length < MIN_OPTIONS || config.options.length > MAX_OPTIONS) {
+      showToast(`Please provide between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`, 'error');
+      return;
+    }
+    
+    if (new Set(config.options.map(label => label.toLowerCase())).size !== config.options.length) {
+      showToast('Each option must be different', 'error');
+      return;
+    }
+  }
+  
+  if (mode === 'prompts') {
+    config.prompts = Array.from(document.querySelectorAll('#prompt-list .prompt-input')).map(input => input.value.trim());
+    
+    if (config.prompts.some(prompt => !prompt)) {
+      showToast('Please fill in every prompt', 'error');
+      return;
+    }
+    
+    if (config.prompts.length < MIN_PROMPTS || config.prompts.length > MAX_PROMPTS) {
+      showToast(`Please provide between ${MIN_PROMPTS} and ${MAX_PROMPTS} prompts`, 'error');
+      return;
+    }
+  }
+  
+  if (mode === 'scale') {
+    config.question = document.getElementById('question').value.trim();
+    config.scale = {
+      min: 1,
+      max: parseInt(document.getElementById('scale-max').value),
+      lowLabel: document.getElementById('scale-low').value.trim(),
+      highLabel: document.getElementById('scale-high').value.trim()
+    };
+    
+    if (!config.question) {
+      showToast('Please enter the question students should rate', 'error');
+      return;
+    }
+    
+    if (!SCALE_SIZES.includes(config.scale.max)) {
+      showToast('Please choose a 1–5 or 1–10 scale', 'error');
+      return;
+    }
   }
   
   console.log('[Teacher] Creating session with config:', config);
   const session = createSession(config);
   console.log('[Teacher] Session created:', session.id);
-  showToast(`Session created! Code: ${session.id}`, 'success');
+  showToast(opensAt ? `Session scheduled! Code: ${session.id}` : `Session created! Code: ${session.id}`, 'success');
   
   // Small delay to ensure session is saved
   setTimeout(() => {
@@ -646,11 +3588,11 @@ function renderMonitor(sessionId) {
   const participantCount = session.participants instanceof Set ? session.participants.size : (Array.isArray(session.participants) ? session.participants.length : 0);
   
   const app = document.getElementById('app');
-  const joinUrl = `${window.location.origin}${window.location.pathname}#/join/${sessionId}`;
+  const joinUrl = `${window.location.origin}${window.location.pathname}${window.location.search}#/join/${sessionId}`;
   
   console.log('[Teacher] Monitoring session:', sessionId, 'Participants:', participantCount);
   
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
       <h1>📡 Event Monitor</h1>
     </div>
@@ -661,7 +3603,7 @@ function renderMonitor(sessionId) {
             <h3 style="margin-bottom: 16px;">Scan to Join</h3>
             <p style="font-size: 14px; opacity: 0.7; margin-bottom: 12px;">or share the code below</p>
             <div id="qr-code"></div>
-            <div class="session-code" style="cursor: pointer;" onclick="copyToClipboard('${session.id}', 'Session code copied!')" title="Click to copy">
+            <div class="session-code" style="cursor: pointer;" onclick="copyToClipboard(${jsArg(session.id)}, 'Session code copied!')" title="Click to copy">
               ${session.id}
             </div>
             <p style="text-align: center; font-size: 14px; opacity: 0.7; margin-top: -8px;">📋 Click code to copy</p>
@@ -670,33 +3612,67 @@ function renderMonitor(sessionId) {
         <div class="monitor-info">
           <div class="info-item">
             <div class="info-label">Participants</div>
-            <div class="info-value" id="participant-count">${participantCount}/100</div>
+            <div class="info-value" id="participant-count">${participantCount}/${getSessionLimits(session).maxParticipants}</div>
           </div>
           <div class="info-item">
             <div class="info-label">Messages</div>
-            <div class="info-value" id="message-count">${session.messages.length}/100</div>
+            <div class="info-value" id="message-count">${session.messages.length}/${getSessionLimits(session).maxMessages}</div>
           </div>
           <div class="info-item">
-            <div class="info-label">Time Remaining</div>
+            <div class="info-label" id="timer-label">${isSessionUpcoming(session) ? 'Opens In' : 'Time Remaining'}</div>
             <div class="timer-display" id="timer">--:--</div>
           </div>
+          ${session.mode === 'prompts' ? html`
+            <div class="info-item info-item-wide">
+              <div class="info-label">Answers per Prompt</div>
+              <div id="prompt-counts">${renderPromptCounts(session)}</div>
+            </div>
+          ` : ''}
+          ${session.mode === 'scale' ? html`
+            <div class="info-item info-item-wide">
+              <div class="info-label">Ratings</div>
+              <div id="rating-histogram">${renderRatingHistogram(session)}</div>
+            </div>
+          ` : ''}
         </div>
       </div>
       
+      ${session.mode === 'question' ? html`
+        <div class="card" style="margin-bottom: 24px;">
+          <h3 style="margin-bottom: 16px;">📊 Live Results</h3>
+          <div id="analytics-panel">${renderAnalyticsPanel(session)}</div>
+        </div>
+      ` : ''}
+      
       <div class="card">
         <h3 style="margin-bottom: 16px;">🌊 Ocean View</h3>
         <div class="ocean-container">
           <canvas id="ocean-canvas"></canvas>
         </div>
-        <div style="margin-top: 16px; display: flex; gap: 16px; justify-content: center;">
-          <button class="btn btn-danger" onclick="handleForceClose('${sessionId}')">⛔ Force Close Session</button>
+        ${renderOptionLegend(session)}
+        <div class="session-controls">
+          <button class="btn btn-primary" id="open-now-btn" onclick="handleOpenNow(${jsArg(sessionId)})" style="display: ${isSessionUpcoming(session) ? '' : 'none'};">▶️ Open Now</button>
+          <button class="btn btn-secondary" id="pause-btn" onclick="handleTogglePause(${jsArg(sessionId)})" style="display: ${isSessionUpcoming(session) ? 'none' : ''};">${session.isPaused ? '▶️ Resume Intake' : '⏸️ Pause Intake'}</button>
+          <div class="extend-control">
+            <input type="number" class="form-control" id="extend-minutes" min="1" max="30" value="2" aria-label="Minutes to add">
+            <button class="btn btn-secondary" onclick="handleExtend(${jsArg(sessionId)})">⏱️ Add Time</button>
+          </div>
+          ${session.exchange && session.exchange.enabled ? html`
+            <button class="btn btn-secondary" onclick="showExchangeScreening(${jsArg(sessionId)})">🔁 Screen Exchange</button>
+          ` : ''}
+          ${session.moderation && session.moderation.enabled ? html`
+            <a class="btn btn-secondary" href="${'#/teacher/moderate/' + sessionId}">
+              🛡️ Moderation Queue (<span id="held-count">${getHeldMessages(session).length}</span>)
+            </a>
+          ` : ''}
+          <button class="btn btn-danger" onclick="handleForceClose(${jsArg(sessionId)})">⛔ Force Close Session</button>
         </div>
       </div>
     </div>
   `;
   
   // Generate QR Code
-  setTimeout(() => {
+  routeTimeout(() => {
     new QRCode(document.getElementById('qr-code'), {
       text: joinUrl,
       width: 300,
@@ -705,76 +3681,602 @@ function renderMonitor(sessionId) {
   }, 100);
   
   // Initialize ocean scene
-  setTimeout(() => {
-    initOceanScene('ocean-canvas', session.messages, false);
+  routeTimeout(() => {
+    initOceanScene('ocean-canvas', tintByMood(session, getVisibleMessages(session)), false);
   }, 200);
+  onRouteLeave(disposeOceanScene);
   
   // Start timer
   startSessionTimer(sessionId);
   
+  onRouteEvent('sessionClosed', (data) => {
+    if (data.sessionId === sessionId) {
+      handleSessionClosed(sessionId, data.reason);
+    }
+  });
+  
   // Listen for updates
   const updateListener = () => {
     const currentSession = getSession(sessionId);
     if (currentSession) {
       const participantCount = currentSession.participants instanceof Set ? currentSession.participants.size : (Array.isArray(currentSession.participants) ? currentSession.participants.length : 0);
-      document.getElementById('participant-count').textContent = `${participantCount}/100`;
-      document.getElementById('message-count').textContent = `${currentSession.messages.length}/100`;
+      const limits = getSessionLimits(currentSession);
+      document.getElementById('participant-count').textContent = `${participantCount}/${limits.maxParticipants}`;
+      document.getElementById('message-count').textContent = `${currentSession.messages.length}/${limits.maxMessages}`;
+      document.getElementById('pause-btn').textContent = currentSession.isPaused ? '▶️ Resume Intake' : '⏸️ Pause Intake';
+      
+      const heldCount = document.getElementById('held-count');
+      if (heldCount) {
+        heldCount.textContent = getHeldMessages(currentSession).length;
+      }
+      
+      const promptCounts = document.getElementById('prompt-counts');
+      if (promptCounts) {
+        promptCounts.innerHTML = renderPromptCounts(currentSession);
+      }
+      
+      const histogram = document.getElementById('rating-histogram');
+      if (histogram) {
+        histogram.innerHTML = renderRatingHistogram(currentSession);
+      }
+      
+      // Live results follow every change, moderation decisions included
+      const analyticsPanel = document.getElementById('analytics-panel');
+      if (analyticsPanel) {
+        analyticsPanel.innerHTML = renderAnalyticsPanel(currentSession);
+      }
       
       // Update ocean scene
-      updateOceanBottles(currentSession.messages);
+      updateOceanBottles(tintByMood(currentSession, getVisibleMessages(currentSession)));
     }
   };
   
-  onEvent('messageAdded', updateListener);
-  onEvent('stateUpdate', updateListener);
+  onRouteEvent('sessionChanged', (data) => {
+    if (data.sessionId === sessionId) updateListener();
+  });
 }
 
 function startSessionTimer(sessionId) {
-  const session = getSession(sessionId);
+  let session = getSession(sessionId);
   if (!session || !session.isActive) return;
   
-  const endTime = session.createdAt + (session.timeout * 1000);
+  let timerId = null;
+  onRouteLeave(() => clearTimeout(timerId));
+  
+  // Pause, resume and extend move the deadline while we count
+  onRouteEvent('sessionChanged', (data) => {
+    if (data.sessionId === sessionId) {
+      session = getSession(sessionId) || session;
+    }
+  });
   
   function updateTimer() {
     const now = Date.now();
-    const remaining = Math.max(0, Math.floor((endTime - now) / 1000));
+    
+    // A scheduled session counts down to its opening first
+    if (isSessionUpcoming(session)) {
+      updateScheduleControls(session);
+      const timerEl = document.getElementById('timer');
+      if (timerEl) {
+        timerEl.textContent = formatTime(Math.ceil((session.opensAt - now) / 1000));
+        timerEl.className = 'timer-display timer-upcoming';
+      }
+      timerId = setTimeout(updateTimer, 1000);
+      return;
+    }
+    updateScheduleControls(session);
+    
+    const remaining = Math.max(0, Math.floor((SessionScheduler.getDeadline(session) - now) / 1000));
     
     const timerEl = document.getElementById('timer');
     if (timerEl) {
-      timerEl.textContent = formatTime(remaining);
+      timerEl.textContent = session.isPaused ? `⏸ ${formatTime(remaining)}` : formatTime(remaining);
       
-      if (remaining <= 30) {
+      if (session.isPaused) {
+        timerEl.className = 'timer-display timer-paused';
+      } else if (remaining <= 30) {
         timerEl.className = 'timer-display timer-danger';
       } else if (remaining <= 60) {
         timerEl.className = 'timer-display timer-warning';
+      } else {
+        timerEl.className = 'timer-display';
       }
     }
     
-    if (remaining <= 0) {
-      handleAutoClose(sessionId);
-      return;
-    }
-    
-    setTimeout(updateTimer, 1000);
+    // SessionScheduler closes the session; we keep ticking in case the
+    // teacher adds time from another device before it does
+    timerId = setTimeout(updateTimer, 1000);
   }
   
   updateTimer();
 }
 
+// The monitor swaps Pause for Open Now until a scheduled session opens
+function updateScheduleControls(session) {
+  const upcoming = isSessionUpcoming(session);
+  const label = document.getElementById('timer-label');
+  const openBtn = document.getElementById('open-now-btn');
+  const pauseBtn = document.getElementById('pause-btn');
+  
+  if (label) label.textContent = upcoming ? 'Opens In' : 'Time Remaining';
+  if (openBtn) openBtn.style.display = upcoming ? '' : 'none';
+  if (pauseBtn) pauseBtn.style.display = upcoming ? 'none' : '';
+}
+
+function handleOpenNow(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  if (openSessionNow(sessionId)) {
+    showToast('Session is open - the lobby moves on to writing', 'success');
+  }
+}
+
+function handleTogglePause(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const session = getSession(sessionId);
+  if (!session) return;
+  
+  if (session.isPaused) {
+    resumeSession(sessionId);
+    showToast('Submissions resumed', 'success');
+  } else {
+    pauseSession(sessionId);
+    showToast('Submissions paused - the timer is on hold', 'info');
+  }
+}
+
+function handleExtend(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const minutes = parseInt(document.getElementById('extend-minutes').value);
+  if (!minutes || minutes < 1 || minutes > 30) {
+    showToast('Please enter between 1 and 30 minutes', 'error');
+    return;
+  }
+  
+  if (extendSession(sessionId, minutes)) {
+    showToast(`Added ${minutes} minute${minutes === 1 ? '' : 's'}`, 'success');
+  }
+}
+
+function handleReopen(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const minutes = parseInt(document.getElementById('reopen-minutes').value);
+  if (!minutes || minutes < 1 || minutes > 30) {
+    showToast('Please enter between 1 and 30 minutes', 'error');
+    return;
+  }
+  
+  if (reopenSession(sessionId, minutes)) {
+    showToast('Session reopened', 'success');
+    location.hash = `#/teacher/monitor/${sessionId}`;
+  }
+}
+
 function handleForceClose(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
   if (confirm('Are you sure you want to close this session?')) {
-    closeSession(sessionId);
-    showToast('Session closed', 'success');
-    location.hash = `#/teacher/review/${sessionId}`;
+    closeSession(sessionId, 'manual');
   }
 }
 
-function handleAutoClose(sessionId) {
-  closeSession(sessionId);
-  showToast('Session timeout - moving to review mode', 'info');
+// Called on the monitor whenever its session closes, whoever closed it
+function handleSessionClosed(sessionId, reason) {
+  if (reason === 'timeout') {
+    showToast('Session timeout - moving to review mode', 'info');
+  } else {
+    showToast('Session closed', 'success');
+  }
   location.hash = `#/teacher/review/${sessionId}`;
 }
 
+// Printable report - the browser's print dialog hides everything but the report
+function renderReport(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) {
+    showToast('Session not found', 'error');
+    location.hash = '#/teacher/dashboard';
+    return;
+  }
+  
+  const messages = getVisibleMessages(session);
+  const results = getReportResults(session);
+  
+  const app = document.getElementById('app');
+  app.innerHTML = html`
+    <div class="header">
+      <h1>🖨️ Session Report</h1>
+    </div>
+    <div class="container monitor report">
+      <div class="report-actions">
+        <button class="btn btn-secondary" onclick="location.hash=${jsArg((session.isActive ? '#/teacher/monitor/' : '#/teacher/review/') + sessionId)}">⬅️ Back to Session</button>
+        <button class="btn btn-primary" onclick="window.print()">🖨️ Print</button>
+        <button class="btn btn-secondary" onclick="exportReport(${jsArg(sessionId)})">📝 Download Markdown</button>
+      </div>
+      
+      <div class="card" style="margin-bottom: 24px;">
+        <table class="report-table">
+          ${getReportDetails(session).map(([label, value]) => html`
+            <tr><th scope="row">${label}</th><td>${value}</td></tr>
+          `)}
+        </table>
+      </div>
+      
+      ${results.length > 0 ? html`
+        <div class="card" style="margin-bottom: 24px;">
+          <h3 style="margin-bottom: 16px;">Results</h3>
+          <table class="report-table">
+            <thead><tr><th scope="col">Answer</th><th scope="col">Bottles</th></tr></thead>
+            <tbody>
+              ${results.map(([answer, total]) => html`<tr><td>${answer}</td><td>${total}</td></tr>`)}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+      
+      <div class="card">
+        <h3 style="margin-bottom: 16px;">Messages (${messages.length})</h3>
+        <ol class="report-messages">
+          ${messages.map(m => html`
+            <li class="report-message">
+              <div class="report-message-meta">
+                <strong>${m.isAnonymous ? '🎭 Anonymous' : m.studentName || 'Unknown'}</strong>
+                · ${new Date(m.timestamp).toLocaleString()}
+                ${describeAnswer(session, m) ? html` · ${describeAnswer(session, m)}` : ''}
+                · ${SENTIMENTS[getMessageSentiment(m).label].emoji} ${SENTIMENTS[getMessageSentiment(m).label].label}
+              </div>
+              ${m.messageText ? html`<div class="message-text">${m.messageText}</div>` : ''}
+              ${isSketchURL(m.sketch) ? html`<img class="message-sketch" src="${m.sketch}" alt="Sketch">` : ''}
+              ${m.reply ? html`<div class="report-reply">↩️ ${m.reply.text}</div>` : ''}
+            </li>
+          `)}
+        </ol>
+      </div>
+    </div>
+  `;
+}
+
+// Moderation queue - meant for the teacher's own screen, never the projector
+function renderModeration(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || !session.moderation || !session.moderation.enabled) {
+    showToast('This session is not moderated', 'warning');
+    location.hash = '#/teacher/dashboard';
+    return;
+  }
+  // Copies from the relay carry no blocklist unless this device owns the session
+  const blocklist = session.moderation.blocklist || [];
+  
+  const app = document.getElementById('app');
+  app.innerHTML = html`
+    <div class="header">
+      <h1>🛡️ Moderation Queue</h1>
+    </div>
+    <div class="container monitor">
+      <div class="card" style="margin-bottom: 24px;">
+        <h3>Session: ${session.id}</h3>
+        <p style="opacity: 0.7;">
+          ${session.moderation.holdAll ? 'Every bottle waits here until you approve it.' : 'Bottles with blocked words wait here.'}
+          Approved bottles float into the class ocean and can be exchanged; hidden ones stay with you.
+        </p>
+        ${blocklist.length > 0 ? html`
+          <div class="moderation-matches" style="margin-top: 12px;">
+            ${blocklist.map(word => html`<span class="moderation-match">${word}</span>`)}
+          </div>
+        ` : ''}
+      </div>
+      
+      <div id="moderation-queue"></div>
+      
+      <div style="display: flex; gap: 16px; justify-content: center;">
+        <button class="btn btn-secondary" onclick="location.hash=${jsArg((session.isActive ? '#/teacher/monitor/' : '#/teacher/review/') + sessionId)}">⬅️ Back to Session</button>
+      </div>
+    </div>
+  `;
+  
+  updateModerationQueue(sessionId);
+  
+  // New bottles join the queue as they arrive
+  onRouteEvent('sessionChanged', (data) => {
+    if (data.sessionId === sessionId) updateModerationQueue(sessionId);
+  });
+}
+
+function updateModerationQueue(sessionId) {
+  const container = document.getElementById('moderation-queue');
+  const session = getSession(sessionId);
+  if (!container || !session) return;
+  
+  const held = getHeldMessages(session);
+  const hidden = session.messages.filter(m => m.moderation && m.moderation.status === 'hidden');
+  const describe = (entry) => {
+    const time = new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const detail = entry.matches && entry.matches.length > 0 ? `: ${entry.matches.join(', ')}` : entry.reason ? ` (${entry.reason})` : '';
+    return `${entry.action} ${time}${detail}`;
+  };
+  const renderItem = (message) => html`
+    <div class="moderation-item">
+      <div class="meta-label">
+        ${message.isAnonymous ? '🎭 Anonymous' : message.studentName || 'Unknown'} · ${new Date(message.timestamp).toLocaleTimeString()}
+      </div>
+      ${message.moderation.matches.length > 0 ? html`
+        <div class="moderation-matches">
+          ${message.moderation.matches.map(word => html`<span class="moderation-match">${word}</span>`)}
+        </div>
+      ` : ''}
+      ${message.messageText ? html`<div class="message-text">${message.messageText}</div>` : ''}
+      ${isSketchURL(message.sketch) ? html`<img class="message-sketch" src="${message.sketch}" alt="Sketch waiting for review">` : ''}
+      <p class="moderation-history">${message.moderation.history.map(describe).join(' → ')}</p>
+      <div class="moderation-actions">
+        <button class="btn btn-primary" onclick="handleModerate(${jsArg(sessionId)}, ${jsArg(message.id)}, 'approve')">✅ Approve</button>
+        ${message.moderation.matches.length > 0 ? html`
+          <button class="btn btn-secondary" onclick="handleModerate(${jsArg(sessionId)}, ${jsArg(message.id)}, 'redact')">✂️ Redact &amp; Approve</button>
+        ` : ''}
+        ${message.moderation.status !== 'hidden' ? html`
+          <button class="btn btn-danger" onclick="handleModerate(${jsArg(sessionId)}, ${jsArg(message.id)}, 'hide')">🙈 Hide</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+  
+  container.innerHTML = html`
+    <div class="card" style="margin-bottom: 24px;">
+      <h3 style="margin-bottom: 16px;">⏳ Waiting (${held.length})</h3>
+      ${held.length === 0 ? html`<p style="opacity: 0.7;">Nothing to review right now.</p>` : ''}
+      <div class="moderation-list">${held.map(renderItem)}</div>
+    </div>
+    
+    ${hidden.length > 0 ? html`
+      <div class="card" style="margin-bottom: 24px;">
+        <h3 style="margin-bottom: 16px;">🙈 Hidden (${hidden.length})</h3>
+        <div class="moderation-list">${hidden.map(renderItem)}</div>
+      </div>
+    ` : ''}
+  `;
+}
+
+function handleModerate(sessionId, messageId, action) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  if (moderateMessage(sessionId, messageId, action)) {
+    const labels = { approve: 'Bottle approved', redact: 'Bottle redacted and approved', hide: 'Bottle hidden from the class' };
+    showToast(labels[action], 'success');
+  } else {
+    showToast('Could not update this bottle', 'error');
+  }
+}
+
+// Review filters live per session so they survive re-renders after marking read
+function getReviewFilter(sessionId) {
+  if (!AppState.reviewFilters[sessionId]) {
+    AppState.reviewFilters[sessionId] = {
+      promptIndex: null,
+      view: 'ocean',
+      search: '',
+      sort: 'newest',
+      option: 'all',
+      anonymity: 'all',
+      readState: 'all',
+      selectedId: null,
+      restoreFocus: false,
+      announcement: '',
+      theme: null,
+      layout: 'spiral',
+      sentiment: 'all'
+    };
+  }
+  return AppState.reviewFilters[sessionId];
+}
+
+// Bottles for the chosen prompt; themes are worked out over these
+function getReviewBaseMessages(session) {
+  const filter = getReviewFilter(session.id);
+  return getVisibleMessages(session).filter(m => filter.promptIndex === null || m.promptIndex === filter.promptIndex);
+}
+
+function getReviewMessages(session) {
+  const filter = getReviewFilter(session.id);
+  const messages = getReviewBaseMessages(session)
+    .filter(m => filter.sentiment === 'all' || getMessageSentiment(m).label === filter.sentiment);
+  if (filter.theme === null) return messages;
+  
+  // A theme can disappear once bottles are hidden or the prompt changes
+  const theme = getSessionThemes(getReviewBaseMessages(session)).find(t => t.id === filter.theme);
+  return theme ? messages.filter(m => theme.messageIds.includes(m.id)) : messages;
+}
+
+function setReviewPromptFilter(sessionId, promptIndex) {
+  const filter = getReviewFilter(sessionId);
+  filter.promptIndex = promptIndex;
+  filter.theme = null;
+  refreshRoute();
+}
+
+function setReviewTheme(sessionId, themeId) {
+  getReviewFilter(sessionId).theme = themeId;
+  refreshRoute();
+}
+
+function setReviewSentiment(sessionId, sentiment) {
+  getReviewFilter(sessionId).sentiment = sentiment;
+  refreshRoute();
+}
+
+function setReviewLayout(sessionId, layout) {
+  getReviewFilter(sessionId).layout = layout;
+  refreshRoute();
+}
+
+function setReviewView(sessionId, view) {
+  getReviewFilter(sessionId).view = view;
+  refreshRoute();
+}
+
+// List view - the same bottles as the ocean, narrowed by the list's own
+// search and filters. Read state is message.isRead, shared with the ocean.
+const REVIEW_SORTS = {
+  newest: (a, b) => b.timestamp - a.timestamp,
+  oldest: (a, b) => a.timestamp - b.timestamp,
+  'most-words': (a, b) => b.wordCount - a.wordCount || b.timestamp - a.timestamp,
+  'fewest-words': (a, b) => a.wordCount - b.wordCount || a.timestamp - b.timestamp
+};
+
+function getReviewListMessages(session) {
+  const filter = getReviewFilter(session.id);
+  const search = filter.search.trim().toLowerCase();
+  
+  return getReviewMessages(session)
+    .filter(m => filter.option === 'all' || m.selectedOption === filter.option)
+    .filter(m => filter.anonymity === 'all' || (filter.anonymity === 'anonymous') === !!m.isAnonymous)
+    .filter(m => filter.readState === 'all' || (filter.readState === 'read') === !!m.isRead)
+    .filter(m => !search ||
+      m.messageText.toLowerCase().includes(search) ||
+      (!m.isAnonymous && (m.studentName || '').toLowerCase().includes(search)))
+    .sort(REVIEW_SORTS[filter.sort] || REVIEW_SORTS.newest);
+}
+
+function setReviewListFilter(sessionId, key, value) {
+  getReviewFilter(sessionId)[key] = value;
+  updateReviewList(sessionId);
+}
+
+// What the Answer column shows for one bottle
+function describeAnswer(session, message) {
+  const option = message.selectedOption && getOption(session, message.selectedOption);
+  if (option) return `${option.key}: ${option.label}`;
+  if (message.rating !== null && message.rating !== undefined) return `${message.rating} / ${getScale(session).max}`;
+  if (message.promptIndex !== null && message.promptIndex !== undefined) return `Prompt ${message.promptIndex + 1}`;
+  return '';
+}
+
+function updateReviewList(sessionId) {
+  const container = document.getElementById('review-list');
+  const session = getSession(sessionId);
+  if (!container || !session) return;
+  
+  const filter = getReviewFilter(sessionId);
+  const messages = getReviewListMessages(session);
+  if (!messages.some(m => m.id === filter.selectedId)) {
+    filter.selectedId = messages.length > 0 ? messages[0].id : null;
+  }
+  const showAnswer = session.mode !== 'free';
+  
+  container.innerHTML = html`
+    <table class="review-table" aria-describedby="review-help">
+      <caption>${messages.length} of ${getReviewMessages(session).length} messages shown</caption>
+      <thead>
+        <tr>
+          <th scope="col">Status</th>
+          <th scope="col">From</th>
+          ${showAnswer ? html`<th scope="col">Answer</th>` : ''}
+          <th scope="col">Message</th>
+          <th scope="col">Words</th>
+          <th scope="col">Time</th>
+        </tr>
+      </thead>
+      <tbody onkeydown="handleReviewListKey(event, ${jsArg(sessionId)})">
+        ${messages.map(message => html`
+          <tr class="review-row ${message.isRead ? 'is-read' : ''} ${message.id === filter.selectedId ? 'selected' : ''}"
+              data-id="${message.id}"
+              tabindex="${message.id === filter.selectedId ? 0 : -1}"
+              aria-selected="${message.id === filter.selectedId ? 'true' : 'false'}"
+              onclick="selectReviewRow(${jsArg(sessionId)}, ${jsArg(message.id)}); openReviewRow(${jsArg(sessionId)})">
+            <td>${message.isRead ? '✅ Read' : '🔵 Unread'}</td>
+            <td>${message.isAnonymous ? '🎭 Anonymous' : message.studentName || 'Unknown'}</td>
+            ${showAnswer ? html`<td>${describeAnswer(session, message)}</td>` : ''}
+            <td class="review-text">${message.messageText}${isSketchURL(message.sketch) ? ' 🎨' : ''}${message.reply ? ' ↩️' : ''}</td>
+            <td>${message.wordCount}</td>
+            <td>${new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</td>
+          </tr>
+        `)}
+      </tbody>
+    </table>
+    ${messages.length === 0 ? html`<p style="text-align: center; opacity: 0.7; margin-top: 16px;">No messages match these filters.</p>` : ''}
+  `;
+  
+  document.getElementById('review-status').textContent = filter.announcement;
+  filter.announcement = '';
+  
+  if (filter.restoreFocus) {
+    filter.restoreFocus = false;
+    container.querySelector('tr.selected')?.focus();
+  }
+}
+
+// Roving tabindex: only the selected row is in the tab order
+function selectReviewRow(sessionId, messageId) {
+  getReviewFilter(sessionId).selectedId = messageId;
+  document.querySelectorAll('#review-list .review-row').forEach(row => {
+    const selected = row.dataset.id === messageId;
+    row.classList.toggle('selected', selected);
+    row.tabIndex = selected ? 0 : -1;
+    row.setAttribute('aria-selected', selected ? 'true' : 'false');
+    if (selected) row.focus();
+  });
+}
+
+function moveReviewSelection(sessionId, step) {
+  const rows = Array.from(document.querySelectorAll('#review-list .review-row'));
+  if (rows.length === 0) return;
+  
+  const current = rows.findIndex(row => row.dataset.id === getReviewFilter(sessionId).selectedId);
+  const next = step === 'first' ? 0 : step === 'last' ? rows.length - 1 : Math.max(0, Math.min(rows.length - 1, current + step));
+  selectReviewRow(sessionId, rows[next].dataset.id);
+}
+
+function openReviewRow(sessionId) {
+  const session = getSession(sessionId);
+  const filter = getReviewFilter(sessionId);
+  const message = session && session.messages.find(m => m.id === filter.selectedId);
+  if (message) {
+    filter.restoreFocus = true;
+    showMessageModal(sessionId, message);
+  }
+}
+
+// Marks the selected bottle read and moves on to the next one
+function markReviewRowRead(sessionId) {
+  const filter = getReviewFilter(sessionId);
+  const session = getSession(sessionId);
+  const message = session && session.messages.find(m => m.id === filter.selectedId);
+  if (!message || message.isRead) return;
+  
+  const rows = Array.from(document.querySelectorAll('#review-list .review-row'));
+  const index = rows.findIndex(row => row.dataset.id === message.id);
+  const next = rows[index + 1] || rows[index - 1];
+  const unreadLeft = getReviewListMessages(session).filter(m => !m.isRead && m.id !== message.id).length;
+  
+  filter.selectedId = next ? next.dataset.id : null;
+  filter.restoreFocus = true;
+  filter.announcement = `Marked as read. ${unreadLeft} unread left.`;
+  markAsRead(sessionId, message.id);
+}
+
+function handleReviewListKey(event, sessionId) {
+  if (event.target.tagName !== 'TR') return;
+  
+  const actions = {
+    ArrowDown: () => moveReviewSelection(sessionId, 1),
+    j: () => moveReviewSelection(sessionId, 1),
+    ArrowUp: () => moveReviewSelection(sessionId, -1),
+    k: () => moveReviewSelection(sessionId, -1),
+    Home: () => moveReviewSelection(sessionId, 'first'),
+    End: () => moveReviewSelection(sessionId, 'last'),
+    Enter: () => openReviewRow(sessionId),
+    ' ': () => openReviewRow(sessionId),
+    r: () => markReviewRowRead(sessionId)
+  };
+  
+  const action = actions[event.key];
+  if (action && !event.ctrlKey && !event.metaKey && !event.altKey) {
+    event.preventDefault();
+    action();
+  }
+}
+
 function renderReview(sessionId) {
   console.log('[Teacher] Rendering review for session:', sessionId);
   
@@ -782,7 +4284,7 @@ function renderReview(sessionId) {
   if (!session) {
     console.error('[Teacher] Session not found:', sessionId);
     showToast('Session not found', 'error');
-    setTimeout(() => {
+    routeTimeout(() => {
       location.hash = '#/teacher/dashboard';
     }, 2000);
     return;
@@ -790,9 +4292,11 @@ function renderReview(sessionId) {
   
   const unreadMessages = session.messages.filter(m => !m.isRead);
   const readMessages = session.messages.filter(m => m.isRead);
+  const filter = getReviewFilter(sessionId);
+  const themes = getSessionThemes(getReviewBaseMessages(session));
   
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
       <h1>📖 Review Messages</h1>
     </div>
@@ -801,7 +4305,11 @@ function renderReview(sessionId) {
         <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 16px;">
           <div>
             <h3>Session: ${session.id}</h3>
-            <p>Click bottles in the ocean to read messages</p>
+            <p>${filter.view === 'list' ? 'Read, search and triage every message in a list' : 'Click bottles in the ocean to read messages'}</p>
+            <div class="view-toggle" role="group" aria-label="Review view">
+              <button class="btn ${filter.view === 'ocean' ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.view === 'ocean' ? 'true' : 'false'}" onclick="setReviewView(${jsArg(sessionId)}, 'ocean')">🌊 Ocean</button>
+              <button class="btn ${filter.view === 'list' ? 'btn-primary' : 'btn-secondary'}" aria-pressed="${filter.view === 'list' ? 'true' : 'false'}" onclick="setReviewView(${jsArg(sessionId)}, 'list')">📋 List</button>
+            </div>
           </div>
           <div style="text-align: right;">
             <div style="font-size: 24px; font-weight: bold; color: var(--primary);">
@@ -814,34 +4322,160 @@ function renderReview(sessionId) {
         </div>
       </div>
       
-      <div class="card">
-        <div class="ocean-container" style="height: 600px;">
-          <canvas id="ocean-canvas"></canvas>
+      ${session.mode === 'prompts' ? html`
+        <div class="card" style="margin-bottom: 24px;">
+          <h3 style="margin-bottom: 16px;">📝 Show bottles for</h3>
+          <div class="rating-filter">
+            <button class="btn ${getReviewFilter(sessionId).promptIndex === null ? 'btn-primary' : 'btn-secondary'}" onclick="setReviewPromptFilter(${jsArg(sessionId)}, null)">All Prompts</button>
+            ${getSessionPrompts(session).map((prompt, i) => html`
+              <button class="btn ${getReviewFilter(sessionId).promptIndex === i ? 'btn-primary' : 'btn-secondary'}" onclick="setReviewPromptFilter(${jsArg(sessionId)}, ${i})" title="${prompt}">
+                <span class="option-dot" style="background: ${OPTION_COLORS[i]};"></span> ${i + 1}. ${prompt}
+              </button>
+            `)}
+          </div>
+        </div>
+      ` : ''}
+      
+      ${session.mode === 'question' ? html`
+        <div class="card" style="margin-bottom: 24px;">
+          <h3 style="margin-bottom: 16px;">📊 Results: ${session.question}</h3>
+          ${renderAnalyticsPanel(session)}
+        </div>
+      ` : ''}
+      
+      ${session.mode === 'scale' ? html`
+        <div class="card" style="margin-bottom: 24px;">
+          <h3 style="margin-bottom: 16px;">📏 ${session.question}</h3>
+          ${renderRatingHistogram(session)}
+          <div class="rating-filter">
+            ${getScaleValues(session).map(value => html`
+              <button class="btn btn-secondary" onclick="showRatingModal(${jsArg(sessionId)}, ${value})" ${getRatingCounts(session)[value] === 0 ? 'disabled' : ''}>
+                Open all ${value}s
+              </button>
+            `)}
+          </div>
+        </div>
+      ` : ''}
+      
+      ${getReviewBaseMessages(session).length > 0 ? html`
+        <div class="card" style="margin-bottom: 24px;">
+          <h3 style="margin-bottom: 16px;">🌡️ Class Mood</h3>
+          ${renderMoodPanel(session)}
+        </div>
+      ` : ''}
+      
+      ${themes.length > 0 ? html`
+        <div class="card" style="margin-bottom: 24px;">
+          <h3 style="margin-bottom: 16px;">🔤 Keywords & Themes</h3>
+          ${renderThemePanel(session, themes)}
         </div>
-        <div style="margin-top: 16px; display: flex; gap: 16px; justify-content: center;">
+      ` : ''}
+      
+      <div class="card">
+        ${filter.view === 'list' ? html`
+          <div class="review-toolbar">
+            <input type="search" class="form-control" id="review-search" placeholder="Search messages and names" aria-label="Search messages and names" value="${filter.search}" oninput="setReviewListFilter(${jsArg(sessionId)}, 'search', this.value)">
+            <select class="form-control" aria-label="Sort messages" onchange="setReviewListFilter(${jsArg(sessionId)}, 'sort', this.value)">
+              ${[['newest', 'Newest first'], ['oldest', 'Oldest first'], ['most-words', 'Most words'], ['fewest-words', 'Fewest words']].map(([value, label]) => html`
+                <option value="${value}" ${filter.sort === value ? 'selected' : ''}>${label}</option>
+              `)}
+            </select>
+            ${session.mode === 'question' ? html`
+              <select class="form-control" aria-label="Filter by option" onchange="setReviewListFilter(${jsArg(sessionId)}, 'option', this.value)">
+                <option value="all">All options</option>
+                ${getSessionOptions(session).map(option => html`
+                  <option value="${option.key}" ${filter.option === option.key ? 'selected' : ''}>${option.key}: ${option.label}</option>
+                `)}
+              </select>
+            ` : ''}
+            <select class="form-control" aria-label="Filter by anonymity" onchange="setReviewListFilter(${jsArg(sessionId)}, 'anonymity', this.value)">
+              ${[['all', 'Named and anonymous'], ['named', 'Named only'], ['anonymous', 'Anonymous only']].map(([value, label]) => html`
+                <option value="${value}" ${filter.anonymity === value ? 'selected' : ''}>${label}</option>
+              `)}
+            </select>
+            <select class="form-control" aria-label="Filter by read state" onchange="setReviewListFilter(${jsArg(sessionId)}, 'readState', this.value)">
+              ${[['all', 'Read and unread'], ['unread', 'Unread only'], ['read', 'Read only']].map(([value, label]) => html`
+                <option value="${value}" ${filter.readState === value ? 'selected' : ''}>${label}</option>
+              `)}
+            </select>
+          </div>
+          <p class="review-help" id="review-help">Keyboard: ↑ ↓ (or J K) to move, Enter to open, R to mark as read.</p>
+          <div id="review-list"></div>
+          <div class="sr-only" id="review-status" aria-live="polite"></div>
+        ` : html`
+          <div class="ocean-container" style="height: 600px;">
+            <canvas id="ocean-canvas"></canvas>
+          </div>
+          ${renderOptionLegend(session)}
+        `}
+        <div style="margin-top: 16px; display: flex; gap: 16px; justify-content: center; flex-wrap: wrap;">
           <button class="btn btn-secondary" onclick="location.hash='#/teacher/dashboard'">🏠 Back to Dashboard</button>
-          <button class="btn btn-primary" onclick="exportMessages('${sessionId}')">📥 Export CSV</button>
+          <button class="btn btn-primary" onclick="exportMessages(${jsArg(sessionId)})">📥 Export CSV</button>
+          <button class="btn btn-secondary" onclick="exportArchive(${jsArg(sessionId)})">🗄️ Export Archive</button>
+          <button class="btn btn-secondary" onclick="location.hash=${jsArg('#/teacher/report/' + sessionId)}">🖨️ Report</button>
+          ${session.mode === 'question' ? html`
+            <button class="btn btn-secondary" onclick="exportAnalytics(${jsArg(sessionId)})">📊 Export Summary</button>
+          ` : ''}
+          ${session.messages.some(m => m.sketch) ? html`
+            <button class="btn btn-secondary" onclick="exportSketches(${jsArg(sessionId)})">🖼️ Export Sketches</button>
+          ` : ''}
+          ${session.exchange && session.exchange.enabled ? html`
+            <button class="btn btn-secondary" onclick="showExchangeScreening(${jsArg(sessionId)})">🔁 Screen Exchange</button>
+          ` : ''}
+          ${session.moderation && session.moderation.enabled ? html`
+            <button class="btn btn-secondary" onclick="location.hash=${jsArg('#/teacher/moderate/' + sessionId)}">🛡️ Moderation Queue (${getHeldMessages(session).length})</button>
+          ` : ''}
         </div>
+        ${!session.isActive ? html`
+          <div class="session-controls">
+            <div class="extend-control">
+              <input type="number" class="form-control" id="reopen-minutes" min="1" max="30" value="2" aria-label="Minutes to reopen for">
+              <button class="btn btn-secondary" onclick="handleReopen(${jsArg(sessionId)})">🔄 Reopen Session</button>
+            </div>
+          </div>
+        ` : ''}
       </div>
     </div>
   `;
   
+  if (filter.view === 'list') {
+    updateReviewList(sessionId);
+    return;
+  }
+  
+  // Themed layout moves copies of the bottles; stored positions are untouched
+  let oceanMessages = tintByMood(session, getReviewMessages(session));
+  if (filter.layout === 'theme') {
+    const positions = getThemePositions(themes);
+    oceanMessages = oceanMessages.map(m => positions.has(m.id) ? { ...m, bottlePosition: positions.get(m.id) } : m);
+  }
+  
   // Initialize ocean scene with click handling
-  setTimeout(() => {
-    initOceanScene('ocean-canvas', session.messages, true, (message) => {
+  routeTimeout(() => {
+    initOceanScene('ocean-canvas', oceanMessages, true, (message) => {
       showMessageModal(sessionId, message);
     });
   }, 200);
+  onRouteLeave(disposeOceanScene);
 }
 
 function showMessageModal(sessionId, message) {
+  const session = getSession(sessionId);
+  const reply = session && (session.messages.find(m => m.id === message.id) || message).reply;
+  const option = message.selectedOption && session ? getOption(session, message.selectedOption) : null;
+  const prompt = session && message.promptIndex !== null && message.promptIndex !== undefined
+    ? getSessionPrompts(session)[message.promptIndex]
+    : null;
+  const sentiment = getMessageSentiment(message);
+  
+  const opener = document.activeElement;
   const modal = document.createElement('div');
   modal.className = 'modal-overlay';
-  modal.innerHTML = `
-    <div class="modal">
+  modal.innerHTML = html`
+    <div class="modal" role="dialog" aria-modal="true" aria-labelledby="message-modal-title">
       <div class="modal-header">
-        <h2>💌 Message</h2>
-        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button>
+        <h2 id="message-modal-title">💌 Message</h2>
+        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()" aria-label="Close">&times;</button>
       </div>
       <div class="modal-body">
         <div class="message-detail">
@@ -850,32 +4484,225 @@ function showMessageModal(sessionId, message) {
               <div class="meta-label">From</div>
               <div class="meta-value">${message.isAnonymous ? '🎭 Anonymous' : message.studentName || 'Unknown'}</div>
             </div>
-            ${message.selectedOption ? `
+            ${message.selectedOption ? html`
               <div class="meta-item">
                 <div class="meta-label">Selected</div>
-                <div class="meta-value">Option ${message.selectedOption}</div>
+                <div class="meta-value">
+                  <span class="option-dot" style="background: ${option ? option.color : 'transparent'};"></span>
+                  Option ${message.selectedOption}${option ? html`: ${option.label}` : ''}
+                </div>
+              </div>
+            ` : ''}
+            ${message.rating !== null && message.rating !== undefined ? html`
+              <div class="meta-item">
+                <div class="meta-label">Rating</div>
+                <div class="meta-value">
+                  <span class="option-dot" style="background: ${message.bottleColor};"></span>
+                  ${message.rating} / ${session ? getScale(session).max : '?'}
+                </div>
               </div>
             ` : ''}
             <div class="meta-item">
               <div class="meta-label">Words</div>
               <div class="meta-value">${message.wordCount}</div>
             </div>
+            <div class="meta-item">
+              <div class="meta-label">Mood</div>
+              <div class="meta-value">${SENTIMENTS[sentiment.label].emoji} ${SENTIMENTS[sentiment.label].label} (${sentiment.score > 0 ? '+' : ''}${sentiment.score})</div>
+            </div>
             <div class="meta-item">
               <div class="meta-label">Time</div>
               <div class="meta-value">${new Date(message.timestamp).toLocaleTimeString()}</div>
             </div>
+            ${message.editedAt ? html`
+              <div class="meta-item">
+                <div class="meta-label">Edited</div>
+                <div class="meta-value">${new Date(message.editedAt).toLocaleTimeString()}</div>
+              </div>
+            ` : ''}
+          </div>
+          ${prompt ? html`<div class="message-prompt">📝 ${prompt}</div>` : ''}
+          ${message.messageText ? html`<div class="message-text">${message.messageText}</div>` : ''}
+          ${isSketchURL(message.sketch) ? html`<img class="message-sketch" src="${message.sketch}" alt="Sketch from ${message.isAnonymous ? 'an anonymous student' : message.studentName || 'a student'}">` : ''}
+          ${reply ? html`
+            <div class="reply-sent">
+              <div class="meta-label">↩️ Your reply · ${new Date(reply.sentAt).toLocaleTimeString()}</div>
+              <p>${reply.text}</p>
+            </div>
+          ` : ''}
+          <div class="reply-form" id="reply-form" style="display: none;">
+            <label for="reply-text">Reply bottle ${message.isAnonymous ? '(goes back to the anonymous writer)' : ''}</label>
+            <textarea class="textarea form-control" id="reply-text" maxlength="${MAX_REPLY_LENGTH}" placeholder="A short note back to the student..." oninput="updateReplyCounter()">${reply ? reply.text : ''}</textarea>
+            <div class="word-counter valid" id="reply-counter">${reply ? reply.text.length : 0} / ${MAX_REPLY_LENGTH} characters</div>
+            <button class="btn btn-primary" onclick="handleSendReply(${jsArg(sessionId)}, ${jsArg(message.id)})">🍾 Send Reply</button>
           </div>
-          <div class="message-text">${message.messageText}</div>
         </div>
       </div>
       <div class="modal-footer">
-        <button class="btn btn-primary" onclick="markAsRead('${sessionId}', '${message.id}')">✅ Mark as Read</button>
+        <button class="btn btn-secondary" onclick="toggleReplyForm()">${reply ? '✏️ Change Reply' : '↩️ Send a Reply Bottle'}</button>
+        <button class="btn btn-primary" onclick="markAsRead(${jsArg(sessionId)}, ${jsArg(message.id)})">✅ Mark as Read</button>
+        <button class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">Close</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  onRouteLeave(() => modal.remove());
+  
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+  
+  // Keyboard users land in the dialog and go back where they came from
+  modal.querySelector('.modal-close').focus();
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      modal.remove();
+    }
+  });
+  const observer = new MutationObserver(() => {
+    if (!modal.isConnected) {
+      observer.disconnect();
+      if (opener && opener.isConnected) opener.focus();
+    }
+  });
+  observer.observe(document.body, { childList: true });
+}
+
+// Pick which bottles may be passed on to classmates
+function showExchangeScreening(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || !session.exchange) return;
+  
+  const eligibleCount = session.messages.filter(isExchangeEligible).length;
+  
+  document.querySelector('.modal-overlay')?.remove();
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = html`
+    <div class="modal">
+      <div class="modal-header">
+        <h2>🔁 Screen Exchange (${eligibleCount} / ${session.messages.length})</h2>
+        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p style="opacity: 0.7; margin-bottom: 16px;">
+          ${session.isActive
+            ? 'Unticked bottles stay with you. The rest are dealt to classmates when the session closes.'
+            : 'Bottles were dealt when the session closed. Changing the selection deals them again.'}
+        </p>
+        ${session.messages.length === 0 ? html`<p>No bottles yet.</p>` : ''}
+        <div class="exchange-list">
+          ${session.messages.map(message => html`
+            <label class="exchange-item">
+              <input type="checkbox" ${isExchangeEligible(message) ? 'checked' : ''} onchange="handleExchangeEligible(${jsArg(sessionId)}, ${jsArg(message.id)}, this.checked)">
+              <span>
+                <span class="meta-label">${message.isAnonymous ? '🎭 Anonymous' : message.studentName || 'Unknown'}</span>
+                ${message.messageText || (isSketchURL(message.sketch) ? '🎨 Sketch only' : '')}
+              </span>
+            </label>
+          `)}
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">Done</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  onRouteLeave(() => modal.remove());
+  
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+}
+
+function handleExchangeEligible(sessionId, messageId, eligible) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  if (setExchangeEligible(sessionId, messageId, eligible)) {
+    const session = getSession(sessionId);
+    const title = document.querySelector('.modal-header h2');
+    if (title) {
+      title.textContent = `🔁 Screen Exchange (${session.messages.filter(isExchangeEligible).length} / ${session.messages.length})`;
+    }
+  }
+}
+
+function toggleReplyForm() {
+  const form = document.getElementById('reply-form');
+  form.style.display = form.style.display === 'none' ? 'block' : 'none';
+  if (form.style.display === 'block') {
+    document.getElementById('reply-text').focus();
+  }
+}
+
+function updateReplyCounter() {
+  const length = document.getElementById('reply-text').value.trim().length;
+  const counter = document.getElementById('reply-counter');
+  counter.textContent = `${length} / ${MAX_REPLY_LENGTH} characters`;
+  counter.className = length > MAX_REPLY_LENGTH ? 'word-counter invalid' : 'word-counter valid';
+}
+
+function handleSendReply(sessionId, messageId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const text = document.getElementById('reply-text').value.trim();
+  if (!text) {
+    showToast('Please write a reply first', 'error');
+    return;
+  }
+  
+  if (!replyToMessage(sessionId, messageId, text)) {
+    showToast(`Replies can be up to ${MAX_REPLY_LENGTH} characters`, 'error');
+    return;
+  }
+  
+  showToast('Reply bottle sent 🍾', 'success');
+  document.querySelector('.modal-overlay')?.remove();
+  removeBottle(messageId);
+  routeTimeout(refreshRoute, 500);
+}
+
+// Every bottle with one rating value, read together
+function showRatingModal(sessionId, rating) {
+  const session = getSession(sessionId);
+  if (!session) return;
+  
+  const messages = getVisibleMessages(session).filter(m => m.rating === rating);
+  const scale = getScale(session);
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = html`
+    <div class="modal">
+      <div class="modal-header">
+        <h2>📏 Rated ${rating} / ${scale.max} (${messages.length})</h2>
+        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button>
+      </div>
+      <div class="modal-body">
+        ${messages.map(message => html`
+          <div class="rating-message">
+            <div class="meta-label">${message.isAnonymous ? '🎭 Anonymous' : message.studentName || 'Unknown'} · ${new Date(message.timestamp).toLocaleTimeString()}</div>
+            ${message.messageText || !isSketchURL(message.sketch) ? html`<div class="message-text">${message.messageText || '(no justification given)'}</div>` : ''}
+            ${isSketchURL(message.sketch) ? html`<img class="message-sketch" src="${message.sketch}" alt="Sketch">` : ''}
+          </div>
+        `)}
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-primary" onclick="markRatingAsRead(${jsArg(sessionId)}, ${rating})">✅ Mark All as Read</button>
         <button class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">Close</button>
       </div>
     </div>
   `;
   
   document.body.appendChild(modal);
+  onRouteLeave(() => modal.remove());
   
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
@@ -884,12 +4711,35 @@ function showMessageModal(sessionId, message) {
   });
 }
 
+function markRatingAsRead(sessionId, rating) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const session = getSession(sessionId);
+  if (!session) return;
+  
+  const messages = getVisibleMessages(session).filter(m => m.rating === rating && !m.isRead);
+  messages.forEach(message => {
+    message.isRead = true;
+    touchMessage(message);
+  });
+  SessionManager.save(sessionId, session);
+  console.log('[App] Marked', messages.length, 'messages as read for rating', rating);
+  
+  document.querySelector('.modal-overlay')?.remove();
+  messages.forEach(message => removeBottle(message.id));
+  
+  routeTimeout(refreshRoute, 500);
+}
+
 function markAsRead(sessionId, messageId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
   const session = getSession(sessionId);
   if (session) {
     const message = session.messages.find(m => m.id === messageId);
     if (message) {
       message.isRead = true;
+      touchMessage(message);
       // Save using SessionManager
       SessionManager.save(sessionId, session);
       console.log('[App] Marked message as read:', messageId);
@@ -900,43 +4750,477 @@ function markAsRead(sessionId, messageId) {
       // Update ocean scene to remove bottle
       removeBottle(messageId);
       
-      // Refresh review page
-      setTimeout(() => {
-        renderReview(sessionId);
-      }, 500);
+      // Refresh review page through the router so its scene is torn down
+      routeTimeout(refreshRoute, 500);
     }
   }
 }
 
 function exportMessages(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
   const session = getSession(sessionId);
   if (!session || session.messages.length === 0) {
     showToast('No messages to export', 'warning');
     return;
   }
   
-  let csv = 'Timestamp,Name,Anonymous,Option,Message,Word Count\n';
+  // Session details first, then one row per bottle
+  const rows = [
+    ...getReportDetails(session),
+    [],
+    ['Timestamp', 'Name', 'Anonymous', 'Option', 'Option Label', 'Rating', 'Prompt #', 'Prompt', 'Message', 'Word Count', 'Sketch', 'Read', 'Mood', 'Mood Score', 'Moderation'],
+    ...session.messages.map((msg, index) => {
+      const selected = msg.selectedOption && getOption(session, msg.selectedOption);
+      const hasPrompt = msg.promptIndex !== null && msg.promptIndex !== undefined;
+      const sentiment = getMessageSentiment(msg);
+      return [
+        new Date(msg.timestamp).toISOString(),
+        msg.isAnonymous ? 'Anonymous' : (msg.studentName || 'Unknown'),
+        msg.isAnonymous ? 'Yes' : 'No',
+        msg.selectedOption || 'N/A',
+        selected ? selected.label : '',
+        msg.rating ?? '',
+        hasPrompt ? msg.promptIndex + 1 : '',
+        hasPrompt ? getSessionPrompts(session)[msg.promptIndex] || '' : '',
+        msg.messageText,
+        msg.wordCount,
+        isSketchURL(msg.sketch) ? getSketchFilename(msg, index) : '',
+        msg.isRead ? 'Yes' : 'No',
+        SENTIMENTS[sentiment.label].label,
+        sentiment.score,
+        msg.moderation ? msg.moderation.status : ''
+      ];
+    })
+  ];
+  const csv = rows.map(row => row.map(toCSVCell).join(',')).join('\n') + '\n';
+  
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), `session-${sessionId}-messages.csv`);
+  
+  showToast('Messages exported successfully', 'success');
+}
+
+// Results summary for question sessions, as a CSV with one block per table
+function exportAnalytics(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const session = getSession(sessionId);
+  if (!session || session.mode !== 'question') return;
+  
+  const analytics = getSessionAnalytics(session);
+  const rows = [
+    ['Question', session.question],
+    ['Bottles', analytics.total],
+    ['Joined', analytics.participants],
+    ['Submitted', analytics.submitters],
+    ['Submitted %', analytics.submittedPercent],
+    [],
+    ['Option', 'Label', 'Count', 'Percent', 'Average Words'],
+    ...analytics.options.map(option => [option.key, option.label, option.count, option.percent, option.averageWords]),
+    [],
+    [`Interval Start (${analytics.bucketMinutes} min)`, 'Submissions'],
+    ...analytics.timeline.map(bucket => [new Date(bucket.start).toISOString(), bucket.count])
+  ];
+  const csv = rows.map(row => row.map(toCSVCell).join(',')).join('\n') + '\n';
+  
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), `session-${sessionId}-summary.csv`);
+  showToast('Summary exported successfully', 'success');
+}
+
+// Session Report - details and results shared by the CSV header, the
+// Markdown download and the printable page
+function getReportDetails(session) {
+  const messages = getVisibleMessages(session);
+  const moods = { positive: 0, neutral: 0, negative: 0 };
+  messages.forEach(m => moods[getMessageSentiment(m).label]++);
+  
+  const details = [
+    ['Session', session.id],
+    ['Type', getModeLabel(session)]
+  ];
+  if (session.question) {
+    details.push(['Question', session.question]);
+  }
+  if (session.mode === 'question') {
+    details.push(['Options', getSessionOptions(session).map(o => `${o.key}: ${o.label}`).join('; ')]);
+  } else if (session.mode === 'prompts') {
+    details.push(['Prompts', getSessionPrompts(session).map((prompt, i) => `${i + 1}. ${prompt}`).join('; ')]);
+  } else if (session.mode === 'scale') {
+    const scale = getScale(session);
+    details.push(['Scale', `${scale.min}${scale.lowLabel ? ` (${scale.lowLabel})` : ''} to ${scale.max}${scale.highLabel ? ` (${scale.highLabel})` : ''}`]);
+  }
+  details.push(
+    ['Opened', new Date(session.opensAt || session.createdAt).toLocaleString()],
+    ['Closed', session.closedAt ? new Date(session.closedAt).toLocaleString() : 'Still open'],
+    ['Joined', new Set(session.participants).size],
+    ['Bottles', messages.length],
+    ['Mood', `${moods.positive} positive, ${moods.neutral} neutral, ${moods.negative} negative`]
+  );
+  return details;
+}
+
+// [answer, bottles] rows for the session's options, ratings or prompts
+function getReportResults(session) {
+  const messages = getVisibleMessages(session);
+  const count = (match) => messages.filter(match).length;
+  
+  if (session.mode === 'question') {
+    return getSessionOptions(session).map(o => [`${o.key}: ${o.label}`, count(m => m.selectedOption === o.key)]);
+  }
+  if (session.mode === 'scale') {
+    return getScaleValues(session).map(value => [String(value), count(m => m.rating === value)]);
+  }
+  if (session.mode === 'prompts') {
+    return getSessionPrompts(session).map((prompt, i) => [`${i + 1}. ${prompt}`, count(m => m.promptIndex === i)]);
+  }
+  return [];
+}
+
+// Backslash-escape characters that would turn student text into Markdown or HTML
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_{}\[\]<>#|]/g, '\\$&');
+}
+
+function buildMarkdownReport(session) {
+  const messages = getVisibleMessages(session);
+  const results = getReportResults(session);
+  const lines = [
+    `# Message in a Bottle: Session ${session.id}`,
+    '',
+    '| | |',
+    '|---|---|',
+    ...getReportDetails(session).map(([label, value]) => `| **${label}** | ${escapeMarkdown(value).replace(/\n/g, ' ')} |`),
+    ''
+  ];
+  
+  if (results.length > 0) {
+    lines.push('## Results', '', '| Answer | Bottles |', '|---|---|');
+    results.forEach(([answer, total]) => lines.push(`| ${escapeMarkdown(answer)} | ${total} |`));
+    lines.push('');
+  }
+  
+  lines.push(`## Messages (${messages.length})`, '');
+  messages.forEach((m, i) => {
+    const sentiment = SENTIMENTS[getMessageSentiment(m).label];
+    const answer = describeAnswer(session, m);
+    lines.push(
+      `### ${i + 1}. ${m.isAnonymous ? 'Anonymous' : escapeMarkdown(m.studentName || 'Unknown')} · ${new Date(m.timestamp).toLocaleString()}`,
+      '',
+      `${answer ? `*${escapeMarkdown(answer)}* · ` : ''}${sentiment.emoji} ${sentiment.label}${m.sketch ? ' · 🖼️ Sketch attached' : ''}`,
+      ''
+    );
+    if (m.messageText) {
+      lines.push(...m.messageText.split('\n').map(line => `> ${escapeMarkdown(line)}`), '');
+    }
+    if (m.reply) {
+      lines.push(`**Reply:** ${escapeMarkdown(m.reply.text)}`, '');
+    }
+  });
+  
+  return lines.join('\n');
+}
+
+function exportReport(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const session = getSession(sessionId);
+  if (!session) return;
+  
+  downloadBlob(new Blob([buildMarkdownReport(session)], { type: 'text/markdown' }), `session-${sessionId}-report.md`);
+  showToast('Report exported successfully', 'success');
+}
+
+// Session Archive - a complete JSON copy of a session that another teacher's
+// machine can import for review. Bump ARCHIVE_VERSION when the shape changes
+// and teach validateSessionArchive to read the older versions.
+const ARCHIVE_FORMAT = 'bottle-message-archive';
+const ARCHIVE_VERSION = 1;
+const SESSION_MODES = ['free', 'question', 'prompts', 'scale'];
+const MODERATION_STATUSES = ['held', 'approved', 'hidden'];
+
+function buildSessionArchive(session) {
+  // Ownership stays with this machine's teacher profile
+  const { ownerId, ownerHash, ownerToken, version, ...data } = SessionManager.serialize(session);
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    session: data
+  };
+}
+
+function exportArchive(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
+  
+  const session = getSession(sessionId);
+  if (!session) return;
+  
+  const json = JSON.stringify(buildSessionArchive(session), null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), `session-${sessionId}-archive.json`);
+  showToast('Archive exported successfully', 'success');
+}
+
+// Returns an error message, or null when the archive can be imported
+function validateSessionArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    return 'This file is not a session archive';
+  }
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    return 'This archive was made by a newer version of the app';
+  }
+  
+  const session = archive.session;
+  if (!session || typeof session.id !== 'string' || !/^[A-Z0-9]+$/.test(session.id) || !SESSION_MODES.includes(session.mode)) {
+    return 'The archive has no valid session';
+  }
+  if (!Array.isArray(session.messages) || (session.participants && !Array.isArray(session.participants))) {
+    return 'The archive\'s messages are damaged';
+  }
+  
+  const damaged = session.messages.findIndex(m => !m || typeof m.id !== 'string' ||
+    typeof m.messageText !== 'string' || !Number.isFinite(m.timestamp) ||
+    (m.sketch && !isSketchURL(m.sketch)));
+  if (damaged !== -1) {
+    return `Message ${damaged + 1} in the archive is damaged`;
+  }
+  return null;
+}
+
+// An archive is a file from anywhere, so the imported session is rebuilt
+// from the fields the app knows, each with the type the views expect.
+// Anything else in the file is dropped.
+
+function archivedString(value, fallback = null) {
+  return typeof value === 'string' ? value : fallback;
+}
+
+function archivedNumber(value, fallback = null) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function archivedStrings(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+}
+
+function readArchivedOptions(data) {
+  const options = Array.isArray(data.options) ? data.options : [];
+  const labels = options.map(option => archivedString(option && option.label, ''));
+  if (labels.length === 0 && typeof data.optionA === 'string' && typeof data.optionB === 'string') {
+    labels.push(data.optionA, data.optionB);
+  }
+  return labels.slice(0, MAX_OPTIONS).map((label, i) => ({ key: OPTION_KEYS[i], label, color: OPTION_COLORS[i] }));
+}
+
+function readArchivedScale(scale) {
+  return {
+    min: 1,
+    max: SCALE_SIZES.includes(scale && scale.max) ? scale.max : SCALE_SIZES[0],
+    lowLabel: archivedString(scale && scale.lowLabel, ''),
+    highLabel: archivedString(scale && scale.highLabel, '')
+  };
+}
+
+function readArchivedLimits(limits) {
+  const result = { ...DEFAULT_SESSION_LIMITS };
+  Object.keys(result).forEach(key => {
+    const value = limits && limits[key];
+    const range = SESSION_LIMIT_RANGES[key];
+    if (Number.isInteger(value) && value >= range.min && value <= range.max) {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+function readArchivedModeration(moderation) {
+  if (!moderation || moderation.enabled !== true) return null;
+  return {
+    enabled: true,
+    holdAll: moderation.holdAll === true,
+    blocklist: archivedStrings(moderation.blocklist)
+  };
+}
+
+function readArchivedExchange(exchange) {
+  if (!exchange || exchange.enabled !== true) return null;
+  
+  const assignments = {};
+  Object.entries(exchange.assignments || {}).forEach(([participantId, messageId]) => {
+    if (typeof messageId === 'string') assignments[participantId] = messageId;
+  });
+  return {
+    enabled: true,
+    showNames: exchange.showNames === true,
+    assignments: exchange.assignments ? assignments : null,
+    dealtAt: archivedNumber(exchange.dealtAt)
+  };
+}
+
+function readArchivedMessageModeration(moderation) {
+  if (!moderation || !MODERATION_STATUSES.includes(moderation.status)) return null;
+  return {
+    status: moderation.status,
+    matches: archivedStrings(moderation.matches),
+    history: (Array.isArray(moderation.history) ? moderation.history : [])
+      .filter(entry => entry && typeof entry.action === 'string' && Number.isFinite(entry.at))
+      .map(entry => {
+        const copy = { action: entry.action, at: entry.at, matches: archivedStrings(entry.matches) };
+        if (typeof entry.reason === 'string') copy.reason = entry.reason;
+        return copy;
+      })
+  };
+}
+
+// Colors are recomputed the way addMessage picks them
+function readArchivedMessage(session, data, index) {
+  const scale = getScale(session);
+  const rating = Number.isInteger(data.rating) && data.rating >= scale.min && data.rating <= scale.max ? data.rating : null;
+  const promptIndex = Number.isInteger(data.promptIndex) && getSessionPrompts(session)[data.promptIndex] ? data.promptIndex : null;
+  const option = getOption(session, data.selectedOption);
+  const position = data.bottlePosition || {};
+  
+  const message = {
+    id: data.id,
+    participantId: archivedString(data.participantId, generateId('participant')),
+    studentName: archivedString(data.studentName),
+    isAnonymous: data.isAnonymous === true,
+    selectedOption: option ? option.key : null,
+    rating,
+    promptIndex,
+    messageText: data.messageText,
+    wordCount: countWords(data.messageText),
+    sentiment: scoreSentiment(data.messageText),
+    sketch: data.sketch || null,
+    timestamp: data.timestamp,
+    editedAt: archivedNumber(data.editedAt),
+    isRead: data.isRead === true,
+    bottlePosition: [position.x, position.y, position.z].every(Number.isFinite)
+      ? { x: position.x, y: position.y, z: position.z }
+      : generateBottlePosition(index),
+    bottleColor: option ? option.color
+      : rating !== null ? getRatingColor(session, rating)
+      : promptIndex !== null ? OPTION_COLORS[promptIndex]
+      : generateBottleColor(),
+    reply: data.reply && typeof data.reply.text === 'string'
+      ? { text: data.reply.text.slice(0, MAX_REPLY_LENGTH), sentAt: archivedNumber(data.reply.sentAt, data.timestamp) }
+      : null,
+    moderation: readArchivedMessageModeration(data.moderation)
+  };
+  if (data.exchangeEligible === false) {
+    message.exchangeEligible = false;
+  }
+  return message;
+}
+
+function readArchivedSession(data) {
+  const session = {
+    id: data.id,
+    mode: data.mode,
+    question: archivedString(data.question),
+    scale: data.mode === 'scale' ? readArchivedScale(data.scale) : null,
+    prompts: data.mode === 'prompts' ? archivedStrings(data.prompts).slice(0, MAX_PROMPTS) : null,
+    options: data.mode === 'question' ? readArchivedOptions(data) : null,
+    timeout: archivedNumber(data.timeout, 0),
+    policy: {
+      maxMessagesPerStudent: Number.isInteger(data.policy && data.policy.maxMessagesPerStudent) && data.policy.maxMessagesPerStudent > 0
+        ? data.policy.maxMessagesPerStudent
+        : DEFAULT_SUBMISSION_POLICY.maxMessagesPerStudent,
+      allowEdit: !!data.policy && data.policy.allowEdit === true,
+      allowWithdraw: !!data.policy && data.policy.allowWithdraw === true
+    },
+    limits: readArchivedLimits(data.limits),
+    sketchLimitKB: SKETCH_LIMITS_KB.includes(data.sketchLimitKB) ? data.sketchLimitKB : getDefaultSketchLimitKB(),
+    exchange: readArchivedExchange(data.exchange),
+    moderation: readArchivedModeration(data.moderation),
+    moodColors: data.moodColors === true,
+    createdAt: archivedNumber(data.createdAt, Date.now()),
+    opensAt: archivedNumber(data.opensAt),
+    closesAt: archivedNumber(data.closesAt),
+    closedAt: archivedNumber(data.closedAt),
+    participants: archivedStrings(data.participants)
+  };
+  session.messages = data.messages.map((message, i) => readArchivedMessage(session, message, i));
+  return session;
+}
+
+// Adds the archived session as a closed session owned by this teacher and
+// returns its code. A session whose code is taken here gets a new code.
+function importSessionArchive(archive) {
+  const teacher = TeacherProfile.load();
+  const data = readArchivedSession(archive.session);
+  const id = SessionManager.get(data.id) ? generateSessionCode() : data.id;
+  const session = {
+    ...data,
+    id,
+    ownerId: teacher.id,
+    ownerHash: TeacherProfile.claim(id),
+    isActive: false,
+    isPaused: false,
+    pausedAt: null,
+    closedAt: data.closedAt || archivedNumber(archive.exportedAt, Date.now()),
+    importedAt: Date.now(),
+    participants: new Set(data.participants)
+  };
+  
+  SessionManager.save(id, session);
+  console.log('[App] Imported session archive:', archive.session.id, 'as', id);
+  return id;
+}
+
+async function handleImportArchive(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+  
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch (e) {
+    showToast('This file is not a session archive', 'error');
+    return;
+  }
+  
+  const error = validateSessionArchive(archive);
+  if (error) {
+    showToast(error, 'error');
+    return;
+  }
+  
+  const sessionId = importSessionArchive(archive);
+  showToast(sessionId === archive.session.id ? 'Session imported' : `Session imported as ${sessionId}`, 'success');
+  location.hash = `#/teacher/review/${sessionId}`;
+}
+
+// Matches the Sketch column of the CSV export, e.g. sketch-03-anonymous.webp
+function getSketchFilename(message, index) {
+  const author = message.isAnonymous ? 'anonymous' : (message.studentName || 'unknown');
+  const slug = author.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'student';
+  const extension = message.sketch.slice('data:image/'.length, message.sketch.indexOf(';')).replace('jpeg', 'jpg');
+  return `sketch-${String(index + 1).padStart(2, '0')}-${slug}.${extension}`;
+}
+
+// Every sketch in the session as one ZIP download
+function exportSketches(sessionId) {
+  if (!requireSessionOwner(sessionId)) return;
   
-  session.messages.forEach(msg => {
-    const timestamp = new Date(msg.timestamp).toISOString();
-    const name = msg.isAnonymous ? 'Anonymous' : (msg.studentName || 'Unknown');
-    const anonymous = msg.isAnonymous ? 'Yes' : 'No';
-    const option = msg.selectedOption || 'N/A';
-    const message = '"' + msg.messageText.replace(/"/g, '""') + '"';
-    const wordCount = msg.wordCount;
-    
-    csv += `${timestamp},${name},${anonymous},${option},${message},${wordCount}\n`;
-  });
+  const session = getSession(sessionId);
+  const files = session ? session.messages
+    .map((msg, index) => ({ msg, index }))
+    .filter(({ msg }) => isSketchURL(msg.sketch))
+    .map(({ msg, index }) => ({
+      name: getSketchFilename(msg, index),
+      data: Uint8Array.from(atob(msg.sketch.slice(msg.sketch.indexOf(',') + 1)), c => c.charCodeAt(0)),
+      date: new Date(msg.timestamp)
+    })) : [];
   
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `session-${sessionId}-messages.csv`;
-  a.click();
-  URL.revokeObjectURL(url);
+  if (files.length === 0) {
+    showToast('No sketches to export', 'warning');
+    return;
+  }
   
-  showToast('Messages exported successfully', 'success');
+  downloadBlob(createZip(files), `session-${sessionId}-sketches.zip`);
+  console.log('[Teacher] Exported', files.length, 'sketches for session:', sessionId);
+  showToast(`${files.length} sketches exported`, 'success');
 }
 
 // Student Views
@@ -945,7 +5229,7 @@ function renderStudentJoin() {
   const activeSessions = Object.values(allSessions).filter(s => s.isActive);
   
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
       <h1>🎓 Join Session</h1>
     </div>
@@ -967,7 +5251,7 @@ function renderStudentJoin() {
   `;
   
   // Auto-uppercase as user types
-  setTimeout(() => {
+  routeTimeout(() => {
     const input = document.getElementById('session-code');
     if (input) {
       input.addEventListener('input', (e) => {
@@ -989,17 +5273,21 @@ function handleJoinSession(event) {
   
   console.log('[Student] Attempting to join session:', code);
   
-  // Check if session exists before navigating
-  const session = SessionManager.get(code);
-  console.log('[Student] Session lookup result:', session ? 'FOUND' : 'NOT FOUND');
-  
-  if (!session) {
-    showToast(`Session "${code}" not found. Please check the code and try again.`, 'error');
-    SessionManager.debugInfo();
-    return;
-  }
-  
-  location.hash = `#/join/${code}`;
+  // Check if session exists before navigating; with a relay it may still
+  // have to be fetched
+  const lookup = SessionManager.get(code) ? Promise.resolve() : SessionManager.watch([code]);
+  lookup.then(() => {
+    const session = SessionManager.get(code);
+    console.log('[Student] Session lookup result:', session ? 'FOUND' : 'NOT FOUND');
+    
+    if (!session) {
+      showToast(`Session "${code}" not found. Please check the code and try again.`, 'error');
+      SessionManager.debugInfo();
+      return;
+    }
+    
+    location.hash = `#/join/${code}`;
+  });
 }
 
 function renderStudentLanding(sessionId) {
@@ -1013,52 +5301,61 @@ function renderStudentLanding(sessionId) {
     const allSessions = SessionManager.getAll();
     console.log('[Student] Available sessions:', Object.keys(allSessions));
     showToast(`Session "${sessionId}" not found. Please check the code or ask your teacher.`, 'error');
-    setTimeout(() => {
+    routeTimeout(() => {
       location.hash = '#/join';
     }, 2000);
     return;
   }
   
   if (!session.isActive) {
+    // Writers can still come back for replies and exchanged bottles
+    if (getOwnMessages(session, StudentIdentity.getParticipantId(sessionId)).length > 0) {
+      location.hash = `#/student/submitted/${sessionId}`;
+      return;
+    }
+    
     console.warn('[Student] Session is not active:', sessionId);
     showToast('This session has ended', 'warning');
-    setTimeout(() => {
+    routeTimeout(() => {
       location.hash = '#/join';
     }, 2000);
     return;
   }
   
-  const participantCount = session.participants instanceof Set ? session.participants.size : (Array.isArray(session.participants) ? session.participants.length : 0);
-  if (participantCount >= 100) {
+  const { maxParticipants } = getSessionLimits(session);
+  if (!hasParticipantSeat(session, StudentIdentity.getParticipantId(sessionId))) {
     console.warn('[Student] Session is full:', sessionId);
-    showToast('Session is full (100/100 participants)', 'error');
-    setTimeout(() => {
+    showToast(`Session is full (${maxParticipants}/${maxParticipants} participants)`, 'error');
+    routeTimeout(() => {
       location.hash = '#/join';
     }, 2000);
     return;
   }
   
-  // Check if already submitted
-  const hasSubmitted = session.messages.some(m => m.participantId === AppState.socketId);
-  if (hasSubmitted) {
+  // Check if already submitted everything the policy allows
+  const participantId = StudentIdentity.getParticipantId(sessionId);
+  if (!canSubmitMore(session, participantId)) {
     console.log('[Student] Already submitted to this session');
     location.hash = `#/student/submitted/${sessionId}`;
     return;
   }
   
   // Add participant when they land on the page
-  SessionManager.addParticipant(sessionId, AppState.socketId);
+  SessionManager.addParticipant(sessionId, participantId);
   
   // Fire event
-  window.dispatchEvent(new CustomEvent('participantJoined', { 
-    detail: { sessionId, participantId: AppState.socketId } 
-  }));
+  emitEvent('participantJoined', { sessionId, participantId });
+  
+  if (isSessionUpcoming(session)) {
+    renderStudentLobby(sessionId);
+    return;
+  }
   
   const updatedSession = getSession(sessionId);
   const currentParticipants = updatedSession.participants instanceof Set ? updatedSession.participants.size : (Array.isArray(updatedSession.participants) ? updatedSession.participants.length : 0);
   
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
       <h1>✨ Welcome!</h1>
     </div>
@@ -1066,75 +5363,209 @@ function renderStudentLanding(sessionId) {
       <div class="card">
         <div style="text-align: center;">
           <div class="mode-badge ${session.mode === 'free' ? 'mode-free' : 'mode-question'}">
-            ${session.mode === 'free' ? '✍️ Free Mind Mode' : '❓ A/B Question Mode'}
+            ${getModeLabel(session)} Mode
+          </div>
+          <h2 style="margin: 24px 0;">${getSessionQuestion(session) || 'Share Your Thoughts'}</h2>
+          ${getSessionPrompts(session).length > 1 ? html`
+            <p style="opacity: 0.7;">📝 ${getSessionPrompts(session).length} short prompts, one after another</p>
+          ` : ''}
+          <div class="paused-banner" id="paused-banner" style="display: ${session.isPaused ? 'block' : 'none'};">
+            ⏸️ Your teacher has paused submissions for a moment
           </div>
-          <h2 style="margin: 24px 0;">${session.question || 'Share Your Thoughts'}</h2>
           <p style="font-size: 18px; opacity: 0.7; margin-bottom: 32px;">
             👥 ${currentParticipants} students already participating
           </p>
-          <button class="btn btn-primary btn-large btn-full" onclick="location.hash='#/student/compose/${sessionId}'">🚀 Start Writing</button>
+          <button class="btn btn-primary btn-large btn-full" onclick="location.hash=${jsArg('#/student/compose/' + sessionId)}">🚀 Start Writing</button>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  onRouteEvent('sessionChanged', (data) => {
+    if (data.sessionId === sessionId) {
+      updatePausedBanner(getSession(sessionId));
+    }
+  });
+  
+  onRouteEvent('sessionClosed', (data) => {
+    if (data.sessionId === sessionId) {
+      showToast('This session has ended', 'warning');
+      location.hash = '#/join';
+    }
+  });
+}
+
+// Students who join a scheduled session early wait here. The countdown runs
+// off opensAt, so opening early from the monitor arrives as sessionChanged.
+function renderStudentLobby(sessionId) {
+  let session = getSession(sessionId);
+  
+  const app = document.getElementById('app');
+  app.innerHTML = html`
+    <div class="header">
+      <h1>⏳ Almost Time</h1>
+    </div>
+    <div class="container student-join">
+      <div class="card">
+        <div style="text-align: center;">
+          <div class="mode-badge ${session.mode === 'free' ? 'mode-free' : 'mode-question'}">
+            ${getModeLabel(session)} Mode
+          </div>
+          <p style="font-size: 18px; margin: 24px 0 8px;">This session opens at ${new Date(session.opensAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
+          <div class="timer-display timer-upcoming lobby-countdown" id="lobby-countdown">--:--</div>
+          <p style="opacity: 0.7; margin-top: 24px;">
+            👥 <span id="lobby-count">${new Set(session.participants).size}</span> classmates waiting. Keep this page open - writing starts automatically.
+          </p>
         </div>
       </div>
     </div>
   `;
+  
+  let timerId = null;
+  onRouteLeave(() => clearTimeout(timerId));
+  
+  function tick() {
+    if (!isSessionUpcoming(session)) {
+      if (session.isActive) {
+        showToast('The session is open - start writing! ✍️', 'success');
+        location.hash = `#/student/compose/${sessionId}`;
+      }
+      return;
+    }
+    
+    document.getElementById('lobby-countdown').textContent = formatTime(Math.ceil((session.opensAt - Date.now()) / 1000));
+    timerId = setTimeout(tick, 1000);
+  }
+  
+  onRouteEvent('sessionChanged', (data) => {
+    if (data.sessionId !== sessionId) return;
+    session = getSession(sessionId) || session;
+    document.getElementById('lobby-count').textContent = new Set(session.participants).size;
+    clearTimeout(timerId);
+    tick();
+  });
+  
+  onRouteEvent('sessionClosed', (data) => {
+    if (data.sessionId === sessionId) {
+      showToast('This session was cancelled', 'warning');
+      location.hash = '#/join';
+    }
+  });
+  
+  tick();
 }
 
-function renderComposer(sessionId) {
-  console.log('[Student] Rendering composer for session:', sessionId);
+// Shows or hides the paused notice on student views, returns whether paused
+function updatePausedBanner(session) {
+  const banner = document.getElementById('paused-banner');
+  const isPaused = !!(session && session.isPaused);
+  if (banner) {
+    banner.style.display = isPaused ? 'block' : 'none';
+  }
+  return isPaused;
+}
+
+function renderComposer(sessionId, editMessageId = null) {
+  console.log('[Student] Rendering composer for session:', sessionId, editMessageId ? `(editing ${editMessageId})` : '');
   
   const session = getSession(sessionId);
   if (!session || !session.isActive) {
     console.error('[Student] Session not available:', sessionId);
     showToast('Session not available', 'error');
-    setTimeout(() => {
+    routeTimeout(() => {
       location.hash = '#/join';
     }, 2000);
     return;
   }
   
-  const hasSubmitted = session.messages.some(m => m.participantId === AppState.socketId);
-  if (hasSubmitted) {
+  if (isSessionUpcoming(session)) {
+    location.hash = `#/join/${sessionId}`;
+    return;
+  }
+  
+  const participantId = StudentIdentity.getParticipantId(sessionId);
+  const editing = editMessageId ? getOwnMessages(session, participantId).find(m => m.id === editMessageId) : null;
+  if (editMessageId && (!editing || !getSubmissionPolicy(session).allowEdit)) {
+    showToast('This bottle can no longer be edited', 'warning');
+    location.hash = `#/student/submitted/${sessionId}`;
+    return;
+  }
+  
+  if (!editing && !canSubmitMore(session, participantId)) {
     location.hash = `#/student/submitted/${sessionId}`;
     return;
   }
   
+  const prompts = getSessionPrompts(session);
+  const promptIndex = editing ? editing.promptIndex : getNextPromptIndex(session, participantId);
+  const { maxWords } = getSessionLimits(session);
+  
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
-      <h1>✍️ Compose Message</h1>
+      <h1>${editing ? '✏️ Edit Message' : '✍️ Compose Message'}</h1>
     </div>
     <div class="container composer">
       <div class="card">
         <div class="composer-header">
           <div class="mode-badge ${session.mode === 'free' ? 'mode-free' : 'mode-question'}">
-            ${session.mode === 'free' ? '✍️ Free Mind Mode' : '❓ A/B Question'}
+            ${getModeLabel(session)}
           </div>
           <p style="text-align: center; font-size: 14px; opacity: 0.6; margin-top: 8px;">Session: ${sessionId}</p>
         </div>
         
-        ${session.mode === 'question' ? `
+        <div class="paused-banner" id="paused-banner" style="display: ${session.isPaused ? 'block' : 'none'};">
+          ⏸️ Your teacher has paused submissions - keep writing, you can send when they resume
+        </div>
+        
+        ${session.mode === 'question' ? html`
           <div class="question-box">
             <h3>${session.question}</h3>
             <div class="options" id="options">
-              <div class="option-card" onclick="selectOption('A')" id="option-A">
-                <h4>Option A</h4>
-                <p>${session.optionA}</p>
-              </div>
-              <div class="option-card" onclick="selectOption('B')" id="option-B">
-                <h4>Option B</h4>
-                <p>${session.optionB}</p>
-              </div>
+              ${getSessionOptions(session).map(option => html`
+                <div class="option-card" onclick="selectOption(${jsArg(option.key)})" id="option-${option.key}" style="border-top: 6px solid ${option.color};">
+                  <h4>Option ${option.key}</h4>
+                  <p>${option.label}</p>
+                </div>
+              `)}
+            </div>
+          </div>
+        ` : ''}
+        
+        ${prompts.length > 0 && promptIndex >= 0 ? html`
+          <div class="question-box">
+            <div class="prompt-steps">
+              ${prompts.map((prompt, i) => html`
+                <span class="prompt-step ${i === promptIndex ? 'current' : ''}" style="border-color: ${OPTION_COLORS[i]};">${i + 1}</span>
+              `)}
+            </div>
+            <p style="opacity: 0.7;">Prompt ${promptIndex + 1} of ${prompts.length}</p>
+            <h3>${prompts[promptIndex]}</h3>
+          </div>
+        ` : ''}
+        
+        ${session.mode === 'scale' ? html`
+          <div class="question-box">
+            <h3>${session.question}</h3>
+            <div class="rating-picker" id="rating-picker">
+              ${getScaleValues(session).map(value => html`
+                <button type="button" class="rating-choice" id="rating-${value}" onclick="selectRating(${value})">${value}</button>
+              `)}
+            </div>
+            <div class="rating-ends">
+              <span>${getScale(session).lowLabel}</span>
+              <span>${getScale(session).highLabel}</span>
             </div>
           </div>
         ` : ''}
         
-        <form id="message-form" onsubmit="handleSubmitMessage(event, '${sessionId}')">
+        <form id="message-form" data-session="${sessionId}" data-edit="${editing ? editing.id : ''}" data-prompt="${promptIndex}" onsubmit="handleSubmitMessage(event, ${jsArg(sessionId)})">
           <div class="form-group">
-            <label>Your Message (max 100 words)</label>
+            <label>${session.mode === 'scale' ? `Why? (optional, max ${maxWords} words)` : `Your Message (max ${maxWords} words)`}</label>
             <div class="message-input">
               <textarea class="textarea form-control" id="message-text" placeholder="Share your thoughts..." oninput="updateWordCount()"></textarea>
             </div>
-            <div class="word-counter valid" id="word-counter">0 / 100 words</div>
+            <div class="word-counter valid" id="word-counter">0 / ${maxWords} words</div>
           </div>
           
           <div class="emoji-section">
@@ -1144,6 +5575,25 @@ function renderComposer(sessionId) {
             </div>
           </div>
           
+          ${getSketchLimit(session) > 0 ? html`
+            <div class="sketch-section">
+              <button type="button" class="btn btn-secondary" onclick="toggleSketchPad()">🎨 Add a Sketch</button>
+              <div class="sketch-pad" id="sketch-pad" style="display: none;">
+                <div class="sketch-toolbar">
+                  <button type="button" class="sketch-tool active" id="sketch-tool-pen" onclick="setSketchTool('pen')" aria-label="Pen">✏️</button>
+                  <button type="button" class="sketch-tool" id="sketch-tool-eraser" onclick="setSketchTool('eraser')" aria-label="Eraser">🧽</button>
+                  ${SKETCH_COLORS.map((color, i) => html`
+                    <button type="button" class="sketch-color ${i === 0 ? 'active' : ''}" style="background: ${color};" onclick="setSketchColor(${jsArg(color)}, this)" aria-label="Pen color ${i + 1}"></button>
+                  `)}
+                  <button type="button" class="sketch-tool" onclick="SketchPad.undo()" aria-label="Undo">↩️</button>
+                  <button type="button" class="sketch-tool" onclick="SketchPad.clear()" aria-label="Clear sketch">🗑️</button>
+                </div>
+                <canvas class="sketch-canvas" id="sketch-canvas" width="${SKETCH_WIDTH}" height="${SKETCH_HEIGHT}"></canvas>
+                <div class="sketch-usage" id="sketch-usage"></div>
+              </div>
+            </div>
+          ` : ''}
+          
           <div class="form-group">
             <label>Your Name (optional)</label>
             <input type="text" class="form-control" id="student-name" placeholder="Enter your name">
@@ -1153,7 +5603,7 @@ function renderComposer(sessionId) {
             </div>
           </div>
           
-          <button type="submit" class="btn btn-primary btn-large btn-full" id="submit-btn">🚀 Send Message</button>
+          <button type="submit" class="btn btn-primary btn-large btn-full" id="submit-btn">${editing ? '💾 Save Changes' : '🚀 Send Message'}</button>
         </form>
       </div>
     </div>
@@ -1164,14 +5614,120 @@ function renderComposer(sessionId) {
   
   // Store selected option
   window.selectedOption = null;
+  window.selectedRating = null;
+  
+  const sketchCanvas = document.getElementById('sketch-canvas');
+  if (sketchCanvas) {
+    SketchPad.mount(sketchCanvas, () => {
+      updateSketchUsage();
+      saveComposerDraft();
+    });
+    onRouteLeave(() => SketchPad.unmount());
+  }
+  
+  // Autosave so a locked phone or a reload does not lose the text
+  if (editing) {
+    fillComposer(editing);
+  } else {
+    restoreComposerDraft(sessionId);
+  }
+  const form = document.getElementById('message-form');
+  form.addEventListener('input', saveComposerDraft);
+  form.addEventListener('change', saveComposerDraft);
+  
+  if (session.isPaused) {
+    document.getElementById('submit-btn').disabled = true;
+  }
+  
+  onRouteEvent('sessionChanged', (data) => {
+    if (data.sessionId !== sessionId) return;
+    const currentSession = getSession(sessionId);
+    if (!currentSession || !currentSession.isActive) return;
+    
+    updateSketchUsage();
+    if (updatePausedBanner(currentSession)) {
+      document.getElementById('submit-btn').disabled = true;
+    } else {
+      updateWordCount();
+    }
+  });
+  
+  onRouteEvent('sessionClosed', (data) => {
+    if (data.sessionId === sessionId) {
+      showToast('Session has ended - messages are no longer accepted', 'warning');
+      document.getElementById('submit-btn').disabled = true;
+    }
+  });
 }
 
 function selectOption(option) {
+  if (!document.getElementById(`option-${option}`)) return;
+  
   window.selectedOption = option;
   document.querySelectorAll('.option-card').forEach(card => {
     card.classList.remove('selected');
   });
   document.getElementById(`option-${option}`).classList.add('selected');
+  saveComposerDraft();
+}
+
+function selectRating(value) {
+  if (!document.getElementById(`rating-${value}`)) return;
+  
+  window.selectedRating = value;
+  document.querySelectorAll('.rating-choice').forEach(choice => {
+    choice.classList.remove('selected');
+  });
+  document.getElementById(`rating-${value}`).classList.add('selected');
+  saveComposerDraft();
+}
+
+function saveComposerDraft() {
+  const form = document.getElementById('message-form');
+  if (!form || form.dataset.edit) return;
+  
+  StudentIdentity.saveDraft(form.dataset.session, {
+    messageText: document.getElementById('message-text').value,
+    selectedOption: window.selectedOption,
+    rating: window.selectedRating,
+    studentName: document.getElementById('student-name').value,
+    isAnonymous: document.getElementById('anonymous').checked,
+    sketch: SketchPad.value
+  });
+}
+
+function restoreComposerDraft(sessionId) {
+  const draft = StudentIdentity.loadDraft(sessionId);
+  if (!draft) return;
+  
+  fillComposer(draft);
+  
+  if (draft.messageText || draft.sketch) {
+    showToast('Your draft was restored', 'info');
+  }
+}
+
+// Put a draft or an existing message back into the composer fields
+function fillComposer(values) {
+  document.getElementById('message-text').value = values.messageText || '';
+  document.getElementById('student-name').value = values.studentName || '';
+  document.getElementById('anonymous').checked = !!values.isAnonymous;
+  toggleNameField();
+  
+  if (values.selectedOption && document.getElementById(`option-${values.selectedOption}`)) {
+    selectOption(values.selectedOption);
+  }
+  
+  if (values.rating !== null && values.rating !== undefined) {
+    selectRating(values.rating);
+  }
+  
+  if (values.sketch && SketchPad.canvas) {
+    SketchPad.load(values.sketch);
+    document.getElementById('sketch-pad').style.display = 'block';
+  }
+  
+  updateWordCount();
 }
 
 function updateWordCount() {
@@ -1179,12 +5735,16 @@ function updateWordCount() {
   const counter = document.getElementById('word-counter');
   const submitBtn = document.getElementById('submit-btn');
   
+  const form = document.getElementById('message-form');
+  const session = getSession(form.dataset.session);
+  const maxWords = session ? getSessionLimits(session).maxWords : DEFAULT_SESSION_LIMITS.maxWords;
+  
   const text = textarea.value;
   const wordCount = countWords(text);
   
-  counter.textContent = `${wordCount} / 100 words`;
+  counter.textContent = `${wordCount} / ${maxWords} words`;
   
-  if (wordCount > 100) {
+  if (wordCount > maxWords) {
     counter.className = 'word-counter invalid';
     submitBtn.disabled = true;
   } else if (wordCount > 0) {
@@ -1240,9 +5800,196 @@ function insertEmoji(emoji) {
   textarea.focus();
   
   updateWordCount();
+  saveComposerDraft();
   toggleEmojiPicker();
 }
 
+// Sketch Pad - the drawing canvas in the composer. Strokes are kept so undo
+// can redraw the picture without the last one. A sketch loaded from a draft
+// or an existing bottle becomes the background, which only Clear removes.
+const SketchPad = {
+  canvas: null,
+  context: null,
+  background: null,
+  strokes: [],
+  current: null,
+  tool: 'pen',
+  color: SKETCH_COLORS[0],
+  value: null,
+  onChange: null,
+  
+  mount: function(canvas, onChange) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.background = null;
+    this.strokes = [];
+    this.current = null;
+    this.tool = 'pen';
+    this.color = SKETCH_COLORS[0];
+    this.value = null;
+    this.onChange = onChange;
+    
+    canvas.addEventListener('pointerdown', (e) => this.startStroke(e));
+    canvas.addEventListener('pointermove', (e) => this.extendStroke(e));
+    canvas.addEventListener('pointerup', () => this.endStroke());
+    canvas.addEventListener('pointercancel', () => this.endStroke());
+    this.redraw();
+  },
+  
+  unmount: function() {
+    this.canvas = null;
+    this.context = null;
+    this.background = null;
+    this.strokes = [];
+    this.current = null;
+    this.value = null;
+    this.onChange = null;
+  },
+  
+  load: function(sketch) {
+    if (!this.canvas || !isSketchURL(sketch)) return;
+    
+    // Keep the value right away so submitting before the image decodes keeps it
+    this.value = sketch;
+    const image = new Image();
+    image.onload = () => {
+      if (!this.canvas) return;
+      this.background = image;
+      this.strokes = [];
+      this.redraw();
+    };
+    image.src = sketch;
+  },
+  
+  isEmpty: function() {
+    return !this.background && this.strokes.length === 0;
+  },
+  
+  getPoint: function(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return [
+      (e.clientX - rect.left) * this.canvas.width / rect.width,
+      (e.clientY - rect.top) * this.canvas.height / rect.height
+    ];
+  },
+  
+  startStroke: function(e) {
+    e.preventDefault();
+    this.canvas.setPointerCapture(e.pointerId);
+    this.current = {
+      color: this.tool === 'eraser' ? '#FFFFFF' : this.color,
+      width: this.tool === 'eraser' ? 24 : 4,
+      points: [this.getPoint(e)]
+    };
+    this.drawStroke(this.current);
+  },
+  
+  extendStroke: function(e) {
+    if (!this.current) return;
+    this.current.points.push(this.getPoint(e));
+    this.drawStroke(this.current, this.current.points.length - 1);
+  },
+  
+  endStroke: function() {
+    if (!this.current) return;
+    this.strokes.push(this.current);
+    this.current = null;
+    this.commit();
+  },
+  
+  // Draws the stroke from point `from` on, joined to the point before it
+  drawStroke: function(stroke, from = 0) {
+    const ctx = this.context;
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+    ctx.lineWidth = stroke.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    if (stroke.points.length === 1) {
+      const [x, y] = stroke.points[0];
+      ctx.beginPath();
+      ctx.arc(x, y, stroke.width / 2, 0, Math.PI * 2);
+      ctx.fill();
+      return;
+    }
+    
+    ctx.beginPath();
+    ctx.moveTo(...stroke.points[Math.max(0, from - 1)]);
+    stroke.points.slice(Math.max(1, from)).forEach(point => ctx.lineTo(...point));
+    ctx.stroke();
+  },
+  
+  redraw: function() {
+    const ctx = this.context;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.background) {
+      ctx.drawImage(this.background, 0, 0, this.canvas.width, this.canvas.height);
+    }
+    this.strokes.forEach(stroke => this.drawStroke(stroke));
+  },
+  
+  undo: function() {
+    if (this.strokes.length === 0) return;
+    this.strokes.pop();
+    this.redraw();
+    this.commit();
+  },
+  
+  clear: function() {
+    this.background = null;
+    this.strokes = [];
+    this.redraw();
+    this.commit();
+  },
+  
+  // WebP where the browser can encode it, JPEG otherwise
+  commit: function() {
+    if (this.isEmpty()) {
+      this.value = null;
+    } else {
+      const webp = this.canvas.toDataURL('image/webp', SKETCH_QUALITY);
+      this.value = webp.startsWith('data:image/webp') ? webp : this.canvas.toDataURL('image/jpeg', SKETCH_QUALITY);
+    }
+    if (this.onChange) this.onChange();
+  }
+};
+
+function toggleSketchPad() {
+  const pad = document.getElementById('sketch-pad');
+  pad.style.display = pad.style.display === 'none' ? 'block' : 'none';
+  updateSketchUsage();
+}
+
+function setSketchTool(tool) {
+  SketchPad.tool = tool;
+  document.getElementById('sketch-tool-pen').classList.toggle('active', tool === 'pen');
+  document.getElementById('sketch-tool-eraser').classList.toggle('active', tool === 'eraser');
+}
+
+function setSketchColor(color, button) {
+  SketchPad.color = color;
+  setSketchTool('pen');
+  document.querySelectorAll('.sketch-color').forEach(swatch => {
+    swatch.classList.remove('active');
+  });
+  button.classList.add('active');
+}
+
+// How much of the class's shared sketch budget is left, this drawing included
+function updateSketchUsage() {
+  const usage = document.getElementById('sketch-usage');
+  const form = document.getElementById('message-form');
+  const session = form && getSession(form.dataset.session);
+  if (!usage || !session) return;
+  
+  const used = getSketchUsage(session, form.dataset.edit || null) + getSketchBytes(SketchPad.value);
+  const limit = getSketchLimit(session);
+  usage.textContent = `Class sketch storage: ${formatBytes(used)} of ${formatBytes(limit)} used`;
+  usage.classList.toggle('invalid', used > limit);
+}
+
 function handleSubmitMessage(event, sessionId) {
   event.preventDefault();
   
@@ -1259,19 +6006,42 @@ function handleSubmitMessage(event, sessionId) {
   const studentName = document.getElementById('student-name').value.trim();
   const isAnonymous = document.getElementById('anonymous').checked;
   
-  if (!messageText) {
-    showToast('Please write a message', 'error');
+  const sketch = SketchPad.canvas ? SketchPad.value : null;
+  
+  if (!messageText && !sketch && session.mode !== 'scale') {
+    showToast('Please write a message or add a sketch', 'error');
     return;
   }
   
+  const limits = getSessionLimits(session);
   const wordCount = countWords(messageText);
-  if (wordCount > 100) {
-    showToast('Message exceeds 100 words', 'error');
+  if (wordCount > limits.maxWords) {
+    showToast(`Message exceeds ${limits.maxWords} words`, 'error');
+    return;
+  }
+  
+  if (!event.target.dataset.edit && session.messages.length >= limits.maxMessages) {
+    showToast('This session has reached its message limit', 'error');
+    return;
+  }
+  
+  if (session.isPaused) {
+    showToast('Submissions are paused - please wait for your teacher', 'warning');
     return;
   }
   
   if (session.mode === 'question' && !window.selectedOption) {
-    showToast('Please select an option (A or B)', 'error');
+    showToast('Please select an option', 'error');
+    return;
+  }
+  
+  if (session.mode === 'scale' && window.selectedRating === null) {
+    showToast('Please pick a rating', 'error');
+    return;
+  }
+  
+  if (sketch && !canStoreSketch(session, sketch, event.target.dataset.edit || null)) {
+    showToast('The class sketch storage is full - try a simpler drawing or send text only', 'error');
     return;
   }
   
@@ -1279,16 +6049,31 @@ function handleSubmitMessage(event, sessionId) {
     messageText,
     studentName: isAnonymous ? null : studentName,
     isAnonymous,
-    selectedOption: window.selectedOption || null
+    selectedOption: window.selectedOption || null,
+    rating: session.mode === 'scale' ? window.selectedRating : null,
+    promptIndex: session.mode === 'prompts' ? parseInt(event.target.dataset.prompt) : null,
+    sketch
   };
   
   console.log('[Student] Message data:', message);
   
-  const success = addMessage(sessionId, message);
+  const editMessageId = event.target.dataset.edit;
+  const success = editMessageId ? editMessage(sessionId, editMessageId, message) : addMessage(sessionId, message);
   
   if (success) {
     console.log('[Student] Message sent successfully');
-    showToast('Message sent! 🎉', 'success');
+    if (!editMessageId) {
+      StudentIdentity.clearDraft(sessionId);
+    }
+    
+    // Multi-prompt sessions step on to the next open prompt
+    if (!editMessageId && session.mode === 'prompts' && canSubmitMore(getSession(sessionId), StudentIdentity.getParticipantId(sessionId))) {
+      showToast('Answer sent! On to the next prompt ➡️', 'success');
+      refreshRoute();
+      return;
+    }
+    
+    showToast(editMessageId ? 'Changes saved ✏️' : 'Message sent! 🎉', 'success');
     setTimeout(() => {
       location.hash = `#/student/submitted/${sessionId}`;
     }, 500);
@@ -1305,14 +6090,14 @@ function renderSubmitted(sessionId) {
   if (!session) {
     console.error('[Student] Session not found:', sessionId);
     showToast('Session not found', 'error');
-    setTimeout(() => {
+    routeTimeout(() => {
       location.hash = '#/join';
     }, 2000);
     return;
   }
   
   const app = document.getElementById('app');
-  app.innerHTML = `
+  app.innerHTML = html`
     <div class="header">
       <h1>✅ Message Sent!</h1>
     </div>
@@ -1322,50 +6107,177 @@ function renderSubmitted(sessionId) {
         <p style="font-size: 18px; opacity: 0.7; margin: 16px 0;">
           Watch as more bottles appear when other students submit their messages.
         </p>
-        <p style="font-size: 16px; color: var(--primary); font-weight: 600;">
+        <p style="font-size: 16px; color: var(--primary); font-weight: 600;" id="submitted-count">
           💬 ${session.messages.length} messages collected so far
         </p>
       </div>
       
+      <div class="card" style="margin-bottom: 24px;" id="my-bottles"></div>
+      
+      ${session.exchange && session.exchange.enabled ? html`
+        <div class="card" style="margin-bottom: 24px;" id="washed-ashore"></div>
+      ` : ''}
+      
       <div class="card">
         <h3 style="margin-bottom: 16px;">🌊 Ocean View</h3>
         <div class="ocean-container" style="height: 500px;">
           <canvas id="ocean-canvas"></canvas>
         </div>
+        ${renderOptionLegend(session)}
       </div>
     </div>
   `;
   
+  renderMyBottles(sessionId);
+  renderWashedAshore(sessionId);
+  
+  // Replies already here when the page opened are not news
+  const participantId = StudentIdentity.getParticipantId(sessionId);
+  const replyKey = (message) => message.reply ? `${message.id}:${message.reply.sentAt}` : null;
+  const seenReplies = new Set(getOwnMessages(session, participantId).map(replyKey).filter(Boolean));
+  
   // Initialize ocean scene
-  setTimeout(() => {
-    initOceanScene('ocean-canvas', session.messages, false);
+  routeTimeout(() => {
+    initOceanScene('ocean-canvas', getVisibleMessages(session), false);
   }, 200);
+  onRouteLeave(disposeOceanScene);
   
   // Listen for updates
   const updateListener = () => {
     const currentSession = getSession(sessionId);
     if (currentSession) {
-      const messageCountEl = document.querySelector('.card p[style*="font-weight"]');
+      const messageCountEl = document.getElementById('submitted-count');
       if (messageCountEl) {
         messageCountEl.textContent = `💬 ${currentSession.messages.length} messages collected so far`;
       }
       
+      renderMyBottles(sessionId);
+      renderWashedAshore(sessionId);
+      
+      const newReplies = getOwnMessages(currentSession, participantId)
+        .map(replyKey)
+        .filter(key => key && !seenReplies.has(key));
+      if (newReplies.length > 0) {
+        newReplies.forEach(key => seenReplies.add(key));
+        showToast('📬 A bottle floated back to you!', 'success');
+      }
+      
       // Update ocean scene
-      updateOceanBottles(currentSession.messages);
+      updateOceanBottles(getVisibleMessages(currentSession));
     }
   };
   
-  onEvent('messageAdded', updateListener);
-  onEvent('stateUpdate', updateListener);
+  onRouteEvent('sessionChanged', (data) => {
+    if (data.sessionId === sessionId) updateListener();
+  });
   
   // Listen for session close
-  onEvent('sessionClosed', (data) => {
+  onRouteEvent('sessionClosed', (data) => {
     if (data.sessionId === sessionId) {
       showToast('Session has ended. Thank you for participating!', 'info');
     }
   });
 }
 
+// The student's own bottles with the actions their session's policy allows
+function renderMyBottles(sessionId) {
+  const container = document.getElementById('my-bottles');
+  const session = getSession(sessionId);
+  if (!container || !session) return;
+  
+  const participantId = StudentIdentity.getParticipantId(sessionId);
+  const policy = getSubmissionPolicy(session);
+  const ownMessages = getOwnMessages(session, participantId);
+  const canEdit = session.isActive && policy.allowEdit;
+  const canWithdraw = session.isActive && policy.allowWithdraw;
+  
+  container.innerHTML = html`
+    <h3 style="margin-bottom: 16px;">🍾 Your Bottles (${ownMessages.length}/${policy.maxMessagesPerStudent})</h3>
+    ${ownMessages.length === 0 ? html`
+      <p style="opacity: 0.7;">You have no bottles in this session.</p>
+    ` : ''}
+    <div class="my-bottles">
+      ${ownMessages.map(message => html`
+        <div class="my-bottle">
+          ${message.promptIndex !== null && message.promptIndex !== undefined ? html`
+            <p class="my-bottle-meta">📝 ${getSessionPrompts(session)[message.promptIndex]}</p>
+          ` : ''}
+          ${message.messageText ? html`<p class="my-bottle-text">${message.messageText}</p>` : ''}
+          ${isSketchURL(message.sketch) ? html`<img class="my-bottle-sketch" src="${message.sketch}" alt="Your sketch">` : ''}
+          ${message.reply ? html`
+            <div class="returning-bottle ${Date.now() - message.reply.sentAt < 10000 ? 'arriving' : ''}">
+              <span class="returning-bottle-icon" aria-hidden="true">🍾</span>
+              <div>
+                <div class="my-bottle-meta">A bottle floated back from your teacher · ${new Date(message.reply.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                <p>${message.reply.text}</p>
+              </div>
+            </div>
+          ` : ''}
+          <div class="my-bottle-actions">
+            ${message.moderation && message.moderation.status === 'held' ? html`<span class="my-bottle-meta">⏳ waiting for your teacher</span>` : ''}
+            ${message.moderation && message.moderation.status === 'hidden' ? html`<span class="my-bottle-meta">🙈 only your teacher can see this</span>` : ''}
+            ${message.editedAt ? html`<span class="my-bottle-meta">✏️ edited</span>` : ''}
+            ${canEdit ? html`
+              <button class="btn btn-secondary" onclick="location.hash=${jsArg('#/student/compose/' + sessionId + '/' + message.id)}">✏️ Edit</button>
+            ` : ''}
+            ${canWithdraw ? html`
+              <button class="btn btn-danger" onclick="handleWithdraw(${jsArg(sessionId)}, ${jsArg(message.id)})">↩️ Withdraw</button>
+            ` : ''}
+          </div>
+        </div>
+      `)}
+    </div>
+    ${session.isActive && canSubmitMore(session, participantId) ? html`
+      <button class="btn btn-primary btn-full" style="margin-top: 16px;" onclick="location.hash=${jsArg('#/student/compose/' + sessionId)}">✍️ Write Another Bottle</button>
+    ` : ''}
+  `;
+}
+
+// The classmate's bottle this student received in a peer exchange
+function renderWashedAshore(sessionId) {
+  const container = document.getElementById('washed-ashore');
+  const session = getSession(sessionId);
+  if (!container || !session || !session.exchange) return;
+  
+  const bottle = getExchangeBottle(session, StudentIdentity.getParticipantId(sessionId));
+  const showName = bottle && session.exchange.showNames && !bottle.isAnonymous && bottle.studentName;
+  const prompt = bottle && bottle.promptIndex !== null && bottle.promptIndex !== undefined
+    ? getSessionPrompts(session)[bottle.promptIndex]
+    : null;
+  
+  if (session.isActive) {
+    container.innerHTML = html`
+      <h3 style="margin-bottom: 8px;">🏖️ Bottle Exchange</h3>
+      <p style="opacity: 0.7;">When the session closes, a classmate's bottle will wash ashore here.</p>
+    `;
+  } else if (!bottle) {
+    container.innerHTML = html`
+      <h3 style="margin-bottom: 8px;">🏖️ Bottle Exchange</h3>
+      <p style="opacity: 0.7;">No bottle washed up for you this time.</p>
+    `;
+  } else {
+    container.innerHTML = html`
+      <div class="washed-ashore ${Date.now() - session.exchange.dealtAt < 10000 ? 'arriving' : ''}">
+        <h3 style="margin-bottom: 8px;">🏖️ A bottle washed ashore!</h3>
+        <p class="my-bottle-meta">From ${showName ? bottle.studentName : 'an anonymous classmate'}</p>
+        ${prompt ? html`<div class="message-prompt">📝 ${prompt}</div>` : ''}
+        ${bottle.messageText ? html`<div class="message-text">${bottle.messageText}</div>` : ''}
+        ${isSketchURL(bottle.sketch) ? html`<img class="message-sketch" src="${bottle.sketch}" alt="A classmate's sketch">` : ''}
+      </div>
+    `;
+  }
+}
+
+function handleWithdraw(sessionId, messageId) {
+  if (!confirm('Take this bottle back? The teacher will no longer see it.')) return;
+  
+  if (withdrawMessage(sessionId, messageId)) {
+    showToast('Bottle withdrawn', 'success');
+  } else {
+    showToast('This bottle can no longer be withdrawn', 'error');
+  }
+}
+
 // Initialize app
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
@@ -3,13 +3,11 @@ let scene, camera, renderer, ocean, bottles = [], controls;
 let clickableBottles = false;
 let bottleClickCallback = null;
 let animationFrameId = null;
+let resizeHandler = null;
 
 function initOceanScene(canvasId, messages, isClickable = false, onBottleClick = null) {
   // Clean up existing scene
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-  }
-  bottles = [];
+  disposeOceanScene();
   
   clickableBottles = isClickable;
   bottleClickCallback = onBottleClick;
@@ -70,12 +68,62 @@ function initOceanScene(canvasId, messages, isClickable = false, onBottleClick =
   }
   
   // Handle resize
-  window.addEventListener('resize', () => onWindowResize(container));
+  resizeHandler = () => onWindowResize(container);
+  window.addEventListener('resize', resizeHandler);
   
   // Start animation
   animate();
 }
 
+// Release everything the current scene holds: animation loop, listeners,
+// GPU buffers and the WebGL context itself.
+function disposeOceanScene() {
+  if (animationFrameId) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+  }
+  
+  if (resizeHandler) {
+    window.removeEventListener('resize', resizeHandler);
+    resizeHandler = null;
+  }
+  
+  if (controls) {
+    controls.dispose();
+    controls = null;
+  }
+  
+  if (renderer) {
+    renderer.domElement.removeEventListener('click', onCanvasClick);
+  }
+  
+  if (scene) {
+    scene.traverse(disposeObject);
+    scene = null;
+  }
+  
+  if (renderer) {
+    renderer.dispose();
+    renderer = null;
+  }
+  
+  camera = null;
+  ocean = null;
+  bottles = [];
+  clickableBottles = false;
+  bottleClickCallback = null;
+}
+
+function disposeObject(object) {
+  if (object.geometry) {
+    object.geometry.dispose();
+  }
+  if (object.material) {
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => material.dispose());
+  }
+}
+
 function createOcean() {
   const geometry = new THREE.PlaneGeometry(200, 200, 64, 64);
   const material = new THREE.MeshStandardMaterial({
@@ -98,12 +146,14 @@ function createOcean() {
 }
 
 function createBottle(message, index) {
+  if (!scene) return null;
+  
   const group = new THREE.Group();
   
   // Bottle body (glass)
   const bodyGeometry = new THREE.CylinderGeometry(0.5, 0.6, 2, 8);
   const bodyMaterial = new THREE.MeshPhysicalMaterial({
-    color: 0xCCFFFF,
+    color: new THREE.Color(message.glassColor || '#CCFFFF'),
     transparent: true,
     opacity: 0.6,
     roughness: 0.1,
@@ -132,6 +182,8 @@ function createBottle(message, index) {
   // Store message reference
   group.userData = {
     message,
+    body,
+    corkMaterial,
     initialY: pos.y + 1,
     phaseOffset: Math.random() * Math.PI * 2
   };
@@ -143,19 +195,39 @@ function createBottle(message, index) {
 }
 
 function updateOceanBottles(messages) {
-  // Add new bottles that don't exist yet
+  // Updates can arrive before the scene is built or after it was disposed
+  if (!scene) return;
+  
+  // Add new bottles that don't exist yet, refresh edited ones
   messages.forEach((message, index) => {
-    const exists = bottles.some(b => b.userData.message.id === message.id);
-    if (!exists && (!message.isRead || !clickableBottles)) {
+    const existing = bottles.find(b => b.userData.message.id === message.id);
+    if (existing) {
+      // Edited messages can change mood, so refresh the glass tint
+      if (message.glassColor && message.glassColor !== existing.userData.message.glassColor) {
+        existing.userData.body.material.color.set(message.glassColor);
+      }
+      // ...and the student may have picked another cork color
+      if (message.bottleColor && message.bottleColor !== existing.userData.message.bottleColor) {
+        existing.userData.corkMaterial.color.set(message.bottleColor);
+      }
+      existing.userData.message = message;
+    } else if (!message.isRead || !clickableBottles) {
       createBottle(message, index);
     }
   });
+  
+  // Sink bottles whose messages were withdrawn or hidden
+  const ids = new Set(messages.map(m => m.id));
+  bottles
+    .filter(b => !ids.has(b.userData.message.id))
+    .forEach(b => removeBottle(b.userData.message.id));
 }
 
 function removeBottle(messageId) {
   const bottleIndex = bottles.findIndex(b => b.userData.message.id === messageId);
-  if (bottleIndex !== -1) {
+  if (bottleIndex !== -1 && !bottles[bottleIndex].userData.removing) {
     const bottle = bottles[bottleIndex];
+    bottle.userData.removing = true;
     
     // Animate removal (sink and fade)
     const startY = bottle.position.y;
@@ -174,11 +246,17 @@ function removeBottle(messageId) {
         }
       });
       
+      if (!scene || !bottles.includes(bottle)) {
+        // Scene was disposed mid-animation
+        return;
+      }
+      
       if (progress < 1) {
         requestAnimationFrame(animateRemoval);
       } else {
         scene.remove(bottle);
-        bottles.splice(bottleIndex, 1);
+        bottle.traverse(disposeObject);
+        bottles.splice(bottles.indexOf(bottle), 1);
       }
     }
     
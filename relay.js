@@ -0,0 +1,508 @@
+// Message in a Bottle - classroom relay
+//
+// A dependency-free WebSocket relay for running the app across devices.
+// Start it on the classroom laptop with `node relay.js [port]` and open the
+// app with ?relay=ws://<laptop-ip>:<port> on every device. The relay keeps
+// the authoritative copy of each session in memory, applies writes from
+// clients and pushes the result to the devices watching that session.
+//
+// Set RELAY_KEY to only accept devices that open the app with
+// ?relay=ws://<laptop-ip>:<port>/?key=<RELAY_KEY>. Whole-session saves,
+// deletes and the sessionClosed event additionally need the owner token
+// whose hash the session carries.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const RELAY_KEY = process.env.RELAY_KEY || null;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Room for a whole session at the largest sketch budget, with plenty to spare
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const sessions = {};
+// socket -> { watched, owned } session ids; owned ones proved the owner token
+const clients = new Map();
+
+// Fields a student may change on their own bottle
+const EDITABLE_FIELDS = [
+  'studentName', 'isAnonymous', 'selectedOption', 'rating', 'messageText',
+  'wordCount', 'sentiment', 'sketch', 'bottleColor', 'editedAt', 'updatedAt'
+];
+
+// Events the relay passes on to other devices. Anyone in a session may
+// announce the first kind; only its owner may announce the second.
+const STUDENT_EVENTS = ['messageAdded', 'messageEdited', 'messageWithdrawn', 'participantJoined'];
+const OWNER_EVENTS = ['sessionClosed'];
+
+// The app's defaults for sessions that do not spell out their policy
+const DEFAULT_POLICY = { maxMessagesPerStudent: 1, allowEdit: false, allowWithdraw: false };
+const DEFAULT_MAX_MESSAGES = 100;
+
+function getPolicy(session) {
+  return { ...DEFAULT_POLICY, ...(session.policy || {}) };
+}
+
+// Owner checks - the app keeps the owner token in the teacher profile and
+// puts only its SHA-256 on the session
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function isOwner(session, token) {
+  return !!token && !!session && typeof session.ownerHash === 'string' && sha256Hex(token) === session.ownerHash;
+}
+
+// Author checks - each student device keeps a secret per session and signs
+// its bottles with the hash. Participant ids are no proof: classmates see them.
+function isAuthorHash(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+function findOwnMessage(session, op) {
+  if (typeof op.authorToken !== 'string') return null;
+  const authorHash = sha256Hex(op.authorToken);
+  return (session.messages || []).find(m => m.id === op.messageId && m.authorHash === authorHash) || null;
+}
+
+// Mirrors canSubmitMore in the app; in prompt sessions the limit is per prompt
+function canAddMessage(session, message) {
+  const messages = session.messages || [];
+  const limit = (session.limits && session.limits.maxMessages) || DEFAULT_MAX_MESSAGES;
+  const own = messages.filter(m => m.authorHash === message.authorHash &&
+    (session.mode !== 'prompts' || m.promptIndex === message.promptIndex));
+  return messages.length < limit && own.length < getPolicy(session).maxMessagesPerStudent;
+}
+
+// Moderation - mirrors applyModeration in the app. The relay decides on its
+// own so a device cannot slip a bottle past the teacher's queue by sending
+// it already approved; a device may only ask for a bottle to be held.
+function getBlocklistPattern(blocklist) {
+  if (!Array.isArray(blocklist) || blocklist.length === 0) return null;
+  const words = blocklist.map(word => String(word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${words.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function findBlockedWords(session, text) {
+  const pattern = getBlocklistPattern(session.moderation && session.moderation.blocklist);
+  if (!pattern || !text) return [];
+  return [...new Set((text.match(pattern) || []).map(word => word.toLowerCase()))];
+}
+
+// message.moderation must already be the relay's own record, if any
+function moderate(session, message, requested) {
+  const settings = session.moderation || {};
+  const matches = settings.enabled ? findBlockedWords(session, `${message.messageText || ''} ${message.studentName || ''}`) : [];
+  let reason = null;
+  if (matches.length > 0) reason = 'blocklist';
+  else if (settings.enabled && settings.holdAll) reason = 'review';
+  else if (settings.enabled && message.moderation) reason = 'edited';
+  else if (requested && requested.status === 'held') reason = 'review';
+  if (!reason) return;
+
+  const history = message.moderation && Array.isArray(message.moderation.history) ? message.moderation.history : [];
+  history.push({ action: 'held', at: Date.now(), reason, matches });
+  message.moderation = { status: 'held', matches, history };
+}
+
+// Older clients stored the token itself on the session
+function publicCopy(session) {
+  const { ownerToken, ...rest } = session;
+  return rest;
+}
+
+// Held and hidden bottles stay in the teacher's queue. Other devices only
+// learn that such a bottle exists, never what it says or who wrote it.
+function isWithheld(message) {
+  return !!message.moderation && (message.moderation.status === 'held' || message.moderation.status === 'hidden');
+}
+
+function withheldCopy(message) {
+  return {
+    id: message.id,
+    participantId: null,
+    authorHash: message.authorHash,
+    timestamp: message.timestamp,
+    messageText: '',
+    wordCount: 0,
+    studentName: null,
+    isAnonymous: true,
+    sketch: null,
+    moderation: { status: message.moderation.status },
+    withheld: true
+  };
+}
+
+function viewFor(client, sessionId, session) {
+  const copy = publicCopy(session);
+  if (!clients.get(client).owned.has(sessionId)) {
+    copy.messages = (copy.messages || []).map(m => isWithheld(m) ? withheldCopy(m) : { ...m, participantId: null });
+    // Students could read the blocklist and spell around it
+    if (copy.moderation) {
+      copy.moderation = { enabled: !!copy.moderation.enabled, holdAll: !!copy.moderation.holdAll };
+    }
+  }
+  return copy;
+}
+
+// Session merging - an owner's save carries the whole session, but their
+// copy may lack bottles that reached the relay since it last synced.
+// Settings come from the save; participants are united and messages are
+// merged by id, keeping whichever copy of each changed last. Withdrawn
+// message ids are remembered so a stale save cannot bring them back.
+function messageTime(message) {
+  return message.updatedAt || message.editedAt || message.timestamp || 0;
+}
+
+function mergeSession(current, incoming) {
+  const merged = publicCopy({ ...current, ...incoming });
+  const withdrawn = new Set([...(current.withdrawnIds || []), ...(incoming.withdrawnIds || [])]);
+  const incomingMessages = new Map((incoming.messages || []).map(m => [m.id, m]));
+
+  const messages = (current.messages || []).map(message => {
+    const other = incomingMessages.get(message.id);
+    incomingMessages.delete(message.id);
+    return other && messageTime(other) > messageTime(message) ? other : message;
+  });
+  incomingMessages.forEach(message => messages.push(message));
+
+  merged.messages = messages.filter(m => !withdrawn.has(m.id));
+  merged.participants = Array.from(new Set([...(current.participants || []), ...(incoming.participants || [])]));
+  merged.withdrawnIds = Array.from(withdrawn);
+  return merged;
+}
+
+// Session store
+function applyOperation(op) {
+  const session = sessions[op.sessionId];
+
+  switch (op.type) {
+    case 'save': {
+      if (!isOwner(session || op.data, op.ownerToken)) return null;
+      const merged = session ? mergeSession(session, op.data) : publicCopy(op.data);
+      // Keep versions increasing so clients never discard the relay's copy
+      merged.version = Math.max(op.data.version || 0, ((session && session.version) || 0) + 1);
+      sessions[op.sessionId] = merged;
+      return merged;
+    }
+    case 'addMessage':
+      if (!session || session.isActive === false || !op.message || !isAuthorHash(op.message.authorHash)) return null;
+      session.messages = session.messages || [];
+      if (!session.messages.some(m => m.id === op.message.id)) {
+        if (!canAddMessage(session, op.message)) return null;
+        const { moderation, ...message } = op.message;
+        moderate(session, message, moderation);
+        session.messages.push(message);
+        session.version = (session.version || 0) + 1;
+      }
+      return session;
+    case 'addParticipant':
+      if (!session) return null;
+      session.participants = session.participants || [];
+      if (!session.participants.includes(op.participantId)) {
+        session.participants.push(op.participantId);
+        session.version = (session.version || 0) + 1;
+      }
+      return session;
+    case 'editMessage': {
+      const message = session && findOwnMessage(session, op);
+      if (!message || session.isActive === false || !getPolicy(session).allowEdit) return null;
+      EDITABLE_FIELDS.forEach(field => {
+        if (field in op.changes) message[field] = op.changes[field];
+      });
+      // An edited bottle is unread again, whatever the client says
+      message.isRead = false;
+      // An edit may send the bottle back to the teacher's queue, never out of it
+      moderate(session, message, op.changes.moderation);
+      session.version = (session.version || 0) + 1;
+      return session;
+    }
+    case 'updateMessage': {
+      // Teacher changes to a single bottle, e.g. a moderation decision
+      const message = session && isOwner(session, op.ownerToken) && (session.messages || []).find(m => m.id === op.messageId);
+      if (!message) return null;
+      const { id, participantId, authorHash, ...changes } = op.changes;
+      Object.assign(message, changes);
+      session.version = (session.version || 0) + 1;
+      return session;
+    }
+    case 'withdrawMessage': {
+      const message = session && findOwnMessage(session, op);
+      if (!message || session.isActive === false || !getPolicy(session).allowWithdraw) return null;
+      session.messages = session.messages.filter(m => m !== message);
+      session.withdrawnIds = [...(session.withdrawnIds || []), message.id];
+      session.version = (session.version || 0) + 1;
+      return session;
+    }
+    default:
+      return null;
+  }
+}
+
+function handlePayload(client, payload) {
+  switch (payload.type) {
+    case 'subscribe': {
+      // Answer with the requested sessions that exist; the rest are unknown
+      const { watched, owned } = clients.get(client);
+      const ownerTokens = payload.ownerTokens || {};
+      const found = {};
+      (payload.sessionIds || []).forEach(id => {
+        watched.add(id);
+        if (isOwner(sessions[id], ownerTokens[id])) owned.add(id);
+        if (sessions[id]) found[id] = viewFor(client, id, sessions[id]);
+      });
+      send(client, { type: 'snapshot', requestId: payload.requestId, sessions: found });
+      break;
+    }
+    case 'unsubscribe': {
+      const { watched, owned } = clients.get(client);
+      (payload.sessionIds || []).forEach(id => {
+        watched.delete(id);
+        owned.delete(id);
+      });
+      break;
+    }
+    case 'save':
+    case 'addMessage':
+    case 'addParticipant':
+    case 'editMessage':
+    case 'updateMessage':
+    case 'withdrawMessage': {
+      const session = applyOperation(payload);
+      if (session) {
+        if (payload.type === 'save') {
+          // A new session's owner watches it from the first save
+          clients.get(client).watched.add(payload.sessionId);
+          clients.get(client).owned.add(payload.sessionId);
+        }
+        broadcastSession(payload.sessionId, session);
+      } else {
+        console.warn('[Relay] Could not apply', payload.type, 'to session', payload.sessionId);
+        send(client, { type: 'rejected', sessionId: payload.sessionId, operation: payload.type });
+      }
+      break;
+    }
+    case 'delete':
+      if (!isOwner(sessions[payload.sessionId], payload.ownerToken)) {
+        console.warn('[Relay] Refusing delete from a non-owner:', payload.sessionId);
+        send(client, { type: 'rejected', sessionId: payload.sessionId, operation: payload.type });
+        break;
+      }
+      delete sessions[payload.sessionId];
+      broadcast(payload.sessionId, { type: 'deleted', sessionId: payload.sessionId });
+      break;
+    case 'event': {
+      // The sender already dispatched the event locally
+      const sessionId = payload.detail && payload.detail.sessionId;
+      const allowed = STUDENT_EVENTS.includes(payload.name) ||
+        (OWNER_EVENTS.includes(payload.name) && isOwner(sessions[sessionId], payload.ownerToken));
+      if (!sessions[sessionId] || !allowed) {
+        console.warn('[Relay] Dropping event', payload.name, 'for session', sessionId);
+        break;
+      }
+      // Pass on only what listeners use; participant ids stay private
+      const { messageId, reason } = payload.detail;
+      broadcast(sessionId, { type: 'event', name: payload.name, detail: { sessionId, messageId, reason } }, client);
+      break;
+    }
+    default:
+      console.warn('[Relay] Unknown payload type:', payload.type);
+  }
+}
+
+function send(client, payload) {
+  sendText(client, JSON.stringify(payload));
+}
+
+// Only devices watching the session hear about it
+function broadcast(sessionId, payload, except = null) {
+  const data = JSON.stringify(payload);
+  clients.forEach(({ watched }, client) => {
+    if (client !== except && watched.has(sessionId)) {
+      sendText(client, data);
+    }
+  });
+}
+
+function broadcastSession(sessionId, session) {
+  clients.forEach(({ watched }, client) => {
+    if (watched.has(sessionId)) {
+      send(client, { type: 'session', sessionId, data: viewFor(client, sessionId, session) });
+    }
+  });
+}
+
+// WebSocket framing (RFC 6455, text frames only)
+function sendText(socket, text) {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  socket.write(Buffer.concat([header, payload]));
+}
+
+function sendControl(socket, opcode, payload = Buffer.alloc(0)) {
+  socket.write(Buffer.concat([Buffer.from([0x80 | opcode, payload.length]), payload]));
+}
+
+// Returns the frame at the start of buffer, or null if it is incomplete.
+// Frames over MAX_MESSAGE_BYTES come back as { oversized: true } as soon as
+// their header arrives, so the relay never buffers them.
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (length > MAX_MESSAGE_BYTES) return { oversized: true };
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+
+  return { fin, opcode, payload, size: offset + length };
+}
+
+// Close with 1009 (message too big); the caller ignores anything after
+function closeOversized(socket) {
+  console.warn('[Relay] Closing a connection that sent more than', MAX_MESSAGE_BYTES, 'bytes in one message');
+  clients.delete(socket);
+  sendControl(socket, 0x8, Buffer.from([0x03, 0xf1]));
+  socket.end();
+}
+
+function attachClient(socket) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+
+  clients.set(socket, { watched: new Set(), owned: new Set() });
+  console.log('[Relay] Client connected, total:', clients.size);
+
+  socket.on('data', (chunk) => {
+    if (closed) return;
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let frame;
+    while ((frame = readFrame(buffer))) {
+      if (frame.oversized) {
+        closed = true;
+        closeOversized(socket);
+        return;
+      }
+      buffer = buffer.subarray(frame.size);
+
+      if (frame.opcode === 0x8) {
+        sendControl(socket, 0x8);
+        socket.end();
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        sendControl(socket, 0xA, frame.payload);
+        continue;
+      }
+      if (frame.opcode !== 0x1 && frame.opcode !== 0x0) continue;
+
+      fragments.push(frame.payload);
+      fragmentBytes += frame.payload.length;
+      if (fragmentBytes > MAX_MESSAGE_BYTES) {
+        closed = true;
+        closeOversized(socket);
+        return;
+      }
+      if (!frame.fin) continue;
+
+      const text = Buffer.concat(fragments).toString('utf8');
+      fragments = [];
+      fragmentBytes = 0;
+
+      try {
+        handlePayload(socket, JSON.parse(text));
+      } catch (err) {
+        console.warn('[Relay] Dropping malformed payload:', err.message);
+      }
+    }
+  });
+
+  socket.on('close', () => {
+    clients.delete(socket);
+    console.log('[Relay] Client disconnected, total:', clients.size);
+  });
+
+  socket.on('error', (err) => {
+    console.warn('[Relay] Socket error:', err.message);
+    clients.delete(socket);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(`Message in a Bottle relay - ${clients.size} connected, ${Object.keys(sessions).length} sessions\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  if (RELAY_KEY && new URL(req.url, 'http://relay').searchParams.get('key') !== RELAY_KEY) {
+    console.warn('[Relay] Refusing a device without the relay key');
+    socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  attachClient(socket);
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`[Relay] Listening on ws://0.0.0.0:${PORT}`);
+  });
+}
+
+module.exports = { sessions, clients, applyOperation, handlePayload, mergeSession, attachClient, MAX_MESSAGE_BYTES };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const FORGED = { isSafeHTML: true, markup: '<img src=x onerror=alert(1)>', toString: 'x' };
+
+function setup() {
+  const app = loadApp();
+  app.get('TeacherProfile').store({ id: 'teacher_1', name: 'T', salt: 's', pinHash: 'h', sessions: {} });
+  return app;
+}
+
+function archive(session) {
+  return {
+    format: 'bottle-message-archive',
+    version: 1,
+    exportedAt: 1700000000000,
+    session: {
+      id: 'ARCH0001',
+      mode: 'question',
+      messages: [],
+      participants: [],
+      ...session
+    }
+  };
+}
+
+function importArchive(app, file) {
+  const parsed = JSON.parse(JSON.stringify(file));
+  assert.strictEqual(app.get('validateSessionArchive')(parsed), null);
+  const id = app.get('importSessionArchive')(parsed);
+  return app.get('SessionManager').get(id);
+}
+
+test('archives without a known mode are rejected', () => {
+  const app = setup();
+  const validate = app.get('validateSessionArchive');
+
+  assert.notStrictEqual(validate(archive({ mode: 42 })), null);
+  assert.notStrictEqual(validate(archive({ mode: FORGED })), null);
+  assert.notStrictEqual(validate(archive({ mode: 'toString' })), null);
+});
+
+test('forged markup objects come back as plain strings or nothing', () => {
+  const app = setup();
+  const session = importArchive(app, archive({
+    question: FORGED,
+    options: [{ label: FORGED }, { label: 'B side', color: 'red;background:url(x)' }],
+    participants: ['participant_1', FORGED],
+    messages: [{
+      id: 'msg_1',
+      participantId: 'participant_1',
+      studentName: FORGED,
+      messageText: 'hello',
+      timestamp: 1,
+      selectedOption: 'B',
+      bottleColor: 'red;background:url(x)',
+      reply: { text: FORGED },
+      moderation: { status: 'approved', matches: [FORGED], history: [{ action: FORGED, at: 1 }] }
+    }]
+  }));
+
+  assert.strictEqual(session.question, null);
+  assert.deepStrictEqual(session.options.map(o => o.label), ['', 'B side']);
+  assert.strictEqual(session.options[1].color, '#4D96FF');
+  assert.deepStrictEqual([...session.participants], ['participant_1']);
+
+  const [message] = session.messages;
+  assert.strictEqual(message.studentName, null);
+  assert.strictEqual(message.bottleColor, '#4D96FF');
+  assert.strictEqual(message.reply, null);
+  assert.deepStrictEqual([...message.moderation.matches], []);
+  assert.deepStrictEqual([...message.moderation.history], []);
+
+  const markup = app.get('html')`<p>${session.question}</p><p>${session.options[0].label}</p>`.toString();
+  assert.doesNotMatch(markup, /<img/);
+});
+
+test('imported sessions keep the types history and the create form rely on', () => {
+  const app = setup();
+  const session = importArchive(app, archive({
+    mode: 'scale',
+    question: ['not', 'text'],
+    scale: { max: 1e9, lowLabel: 7 },
+    limits: { maxWords: 'lots', maxMessages: 50 },
+    policy: { allowEdit: 'yes', maxMessagesPerStudent: -1 },
+    isActive: true,
+    ownerToken: 'owner_forged',
+    version: 999,
+    messages: [{ id: 'msg_1', messageText: 'ok', timestamp: 1, rating: 4, bottlePosition: 'here' }]
+  }));
+
+  assert.strictEqual(session.question, null);
+  assert.deepStrictEqual({ ...session.scale }, { min: 1, max: 5, lowLabel: '', highLabel: '' });
+  assert.deepStrictEqual({ ...session.limits }, { maxWords: 100, maxMessages: 50, maxParticipants: 100 });
+  assert.deepStrictEqual({ ...session.policy }, { maxMessagesPerStudent: 1, allowEdit: false, allowWithdraw: false });
+  assert.strictEqual(session.isActive, false);
+  assert.strictEqual(session.ownerToken, undefined);
+  assert.strictEqual(session.version, 1);
+  assert.strictEqual(session.messages[0].rating, 4);
+  assert.ok(Number.isFinite(session.messages[0].bottlePosition.x));
+
+  app.get('AppState').historySearch = 'arch';
+  assert.deepStrictEqual([...app.get('getHistorySessions')().map(s => s.id)], ['ARCH0001']);
+});
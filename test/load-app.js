@@ -0,0 +1,67 @@
+// Loads app.js into a fresh sandbox with just enough of a browser for its
+// pure helpers (rendering, validation, session logic) to run under node.
+// The app never initializes: document.readyState stays 'loading'.
+//
+// Run the suite with: node --test test/*.test.js
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+
+function createStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+function loadApp() {
+  const events = new EventTarget();
+  const quiet = () => {};
+  const sandbox = {
+    console: { log: quiet, warn: quiet, error: quiet, info: quiet },
+    document: {
+      readyState: 'loading',
+      addEventListener: quiet,
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => []
+    },
+    location: { hash: '', search: '' },
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events),
+    dispatchEvent: events.dispatchEvent.bind(events),
+    CustomEvent,
+    TextEncoder,
+    URLSearchParams,
+    Blob,
+    crypto: globalThis.crypto,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+  };
+  sandbox.window = sandbox;
+
+  const context = vm.createContext(sandbox);
+  vm.runInContext(APP_SOURCE, context, { filename: 'app.js' });
+
+  return {
+    context,
+    // Top-level const and function bindings are not properties of the
+    // sandbox, so look them up by evaluating their name
+    get: (name) => vm.runInContext(name, context),
+    // Values built inside the sandbox, e.g. JSON.parse from the app's realm
+    run: (code) => vm.runInContext(code, context)
+  };
+}
+
+module.exports = { loadApp };
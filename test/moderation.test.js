@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('redacting a bottle scores its mood again without the blanked words', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const scoreSentiment = app.get('scoreSentiment');
+  const text = 'I hate this stupid quiz';
+  const message = {
+    id: 'msg_1',
+    participantId: 'participant_1',
+    messageText: text,
+    sentiment: scoreSentiment(text),
+    moderation: { status: 'held', matches: ['hate', 'stupid'], history: [] }
+  };
+  SessionManager.write('MOOD0001', {
+    id: 'MOOD0001',
+    isActive: true,
+    participants: ['participant_1'],
+    messages: [message],
+    moderation: { enabled: true, holdAll: false, blocklist: ['hate', 'stupid'] }
+  });
+  assert.strictEqual(message.sentiment.label, 'negative');
+
+  assert.strictEqual(app.get('moderateMessage')('MOOD0001', 'msg_1', 'redact'), true);
+
+  const redacted = SessionManager.get('MOOD0001').messages[0];
+  assert.strictEqual(redacted.messageText, 'I ████ this ██████ quiz');
+  assert.deepStrictEqual({ ...redacted.sentiment }, { score: 0, label: 'neutral' });
+});
+
+test('tallies on the projector leave out held and hidden bottles', () => {
+  const app = loadApp();
+  const session = {
+    id: 'TALLY001',
+    mode: 'scale',
+    scale: { min: 1, max: 5, lowLabel: '', highLabel: '' },
+    prompts: ['One?', 'Two?'],
+    messages: [
+      { id: 'msg_1', rating: 4, promptIndex: 0 },
+      { id: 'msg_2', rating: 4, promptIndex: 0, moderation: { status: 'held', matches: [], history: [] } },
+      { id: 'msg_3', rating: 2, promptIndex: 1, moderation: { status: 'hidden', matches: [], history: [] } },
+      { id: 'msg_4', rating: 2, promptIndex: 1, moderation: { status: 'approved', matches: [], history: [] } }
+    ]
+  };
+
+  assert.deepStrictEqual({ ...app.get('getRatingCounts')(session) }, { 1: 0, 2: 1, 3: 0, 4: 1, 5: 0 });
+  assert.deepStrictEqual([...app.get('getPromptCounts')({ ...session, mode: 'prompts' })], [1, 1]);
+});
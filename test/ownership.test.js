@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+const sha256Hex = app.get('sha256Hex');
+const TeacherProfile = app.get('TeacherProfile');
+
+function storeProfile(sessions = {}) {
+  TeacherProfile.store({ id: 'teacher_1', name: 'T', salt: 's', pinHash: 'h', sessions });
+}
+
+test('sha256Hex matches node crypto across block boundaries', () => {
+  ['', 'abc', 'owner_0123456789abcdef', 'x'.repeat(55), 'y'.repeat(56), 'z'.repeat(64), 'ü🎉'.repeat(40)].forEach(text => {
+    assert.strictEqual(sha256Hex(text), crypto.createHash('sha256').update(text).digest('hex'), text);
+  });
+});
+
+test('PINs are stored as a full SHA-256 of salt and PIN', async () => {
+  const profile = await TeacherProfile.create('T', '4821');
+  assert.strictEqual(profile.pinHash, crypto.createHash('sha256').update(`${profile.salt}:4821`).digest('hex'));
+
+  TeacherProfile.lock();
+  assert.strictEqual(await TeacherProfile.unlock('4822'), false);
+  assert.strictEqual(await TeacherProfile.unlock('4821'), true);
+});
+
+test('claim keeps the token in the profile and returns only its hash', () => {
+  storeProfile();
+  const hash = TeacherProfile.claim('OWNED001');
+  const token = TeacherProfile.getToken('OWNED001');
+
+  assert.match(token, /^owner_[0-9a-f]{32}$/);
+  assert.strictEqual(hash, sha256Hex(token));
+  assert.notStrictEqual(hash, token);
+  assert.strictEqual(TeacherProfile.owns({ id: 'OWNED001', ownerHash: hash }), true);
+});
+
+test('copying the synced hash into another profile does not grant ownership', () => {
+  storeProfile();
+  const hash = TeacherProfile.claim('OWNED002');
+  storeProfile({ OWNED002: hash });
+
+  assert.strictEqual(TeacherProfile.owns({ id: 'OWNED002', ownerHash: hash }), false);
+});
+
+test('legacy sessions swap their plain token for its hash', () => {
+  storeProfile({ LEGACY01: 'owner_legacy' });
+  const sessions = {
+    LEGACY01: { id: 'LEGACY01', ownerToken: 'owner_legacy' },
+    OTHER001: { id: 'OTHER001', ownerToken: 'owner_someone_else' }
+  };
+
+  assert.deepStrictEqual([...TeacherProfile.migrateOwnerTokens(sessions)], ['LEGACY01']);
+  assert.strictEqual(sessions.LEGACY01.ownerToken, undefined);
+  assert.strictEqual(TeacherProfile.owns(sessions.LEGACY01), true);
+  assert.strictEqual(TeacherProfile.owns(sessions.OTHER001), false);
+});
+
+test('only the owner device saves a session that ran out of time', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const SessionScheduler = app.get('SessionScheduler');
+  const TeacherProfile = app.get('TeacherProfile');
+  const saved = [];
+  SessionManager.transport = { save: (id) => saved.push(id), emit: () => {} };
+
+  TeacherProfile.store({ id: 'teacher_1', name: 'T', salt: 's', pinHash: 'h', sessions: {} });
+  const expired = { isActive: true, createdAt: Date.now() - 120000, timeout: 60, messages: [], participants: [], version: 3 };
+  SessionManager.write('MINE0001', { ...expired, id: 'MINE0001', ownerHash: TeacherProfile.claim('MINE0001') });
+  SessionManager.write('THEIRS01', { ...expired, id: 'THEIRS01', ownerHash: 'f'.repeat(64) });
+
+  SessionScheduler.expire('MINE0001');
+  SessionScheduler.expire('THEIRS01');
+
+  assert.deepStrictEqual(saved, ['MINE0001']);
+  assert.strictEqual(SessionManager.get('MINE0001').isActive, false);
+  assert.strictEqual(SessionManager.get('THEIRS01').isActive, false);
+  assert.strictEqual(SessionManager.get('THEIRS01').version, 3);
+});
+
+test('retention forgets every expired closed session, and only on this device', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const TeacherProfile = app.get('TeacherProfile');
+  const sent = [];
+  SessionManager.transport = {
+    delete: (id) => sent.push(['delete', id]),
+    unsubscribe: (ids) => sent.push(['unsubscribe', ...ids])
+  };
+
+  TeacherProfile.store({ id: 'teacher_1', name: 'T', salt: 's', pinHash: 'h', sessions: {} });
+  const old = { isActive: false, closedAt: Date.now() - 400 * 24 * 60 * 60 * 1000, messages: [], participants: [] };
+  SessionManager.write('OLDMINE1', { ...old, id: 'OLDMINE1', ownerHash: TeacherProfile.claim('OLDMINE1') });
+  SessionManager.write('OLDOTHER', { ...old, id: 'OLDOTHER', ownerHash: 'f'.repeat(64) });
+  SessionManager.write('NEWOTHER', { ...old, id: 'NEWOTHER', ownerHash: 'f'.repeat(64), closedAt: Date.now() });
+  TeacherProfile.claim('KEEPMINE');
+
+  assert.strictEqual(app.get('cleanupSessions')(), 2);
+  assert.strictEqual(SessionManager.get('OLDMINE1'), null);
+  assert.strictEqual(SessionManager.get('OLDOTHER'), null);
+  assert.ok(SessionManager.get('NEWOTHER'));
+  assert.strictEqual(TeacherProfile.getToken('OLDMINE1'), null);
+  assert.ok(TeacherProfile.getToken('KEEPMINE'));
+  assert.deepStrictEqual(sent, [['unsubscribe', 'OLDMINE1'], ['unsubscribe', 'OLDOTHER']]);
+});
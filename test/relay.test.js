@@ -0,0 +1,273 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const relay = require('../relay');
+
+const TOKEN = 'owner_relaytest';
+const OWNER_HASH = crypto.createHash('sha256').update(TOKEN).digest('hex');
+
+function authorHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A stand-in socket that decodes the text frames the relay writes
+function fakeClient() {
+  const received = [];
+  const client = {
+    received,
+    write: function(frame) {
+      let offset = 2;
+      if ((frame[1] & 0x7f) === 126) offset = 4;
+      if ((frame[1] & 0x7f) === 127) offset = 10;
+      received.push(JSON.parse(frame.subarray(offset).toString('utf8')));
+    }
+  };
+  relay.clients.set(client, { watched: new Set(), owned: new Set() });
+  return client;
+}
+
+function reset() {
+  Object.keys(relay.sessions).forEach(id => delete relay.sessions[id]);
+  relay.clients.clear();
+}
+
+function session(overrides = {}) {
+  return {
+    id: 'RELAY001',
+    ownerHash: OWNER_HASH,
+    isActive: true,
+    version: 1,
+    participants: [],
+    messages: [],
+    policy: { maxMessagesPerStudent: 1, allowEdit: true, allowWithdraw: true },
+    ...overrides
+  };
+}
+
+test('saves and deletes need the owner token', () => {
+  reset();
+  const owner = fakeClient();
+  const stranger = fakeClient();
+
+  relay.handlePayload(stranger, { type: 'save', sessionId: 'RELAY001', data: session() });
+  assert.strictEqual(relay.sessions.RELAY001, undefined);
+  assert.strictEqual(stranger.received[0].type, 'rejected');
+
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', data: session(), ownerToken: TOKEN });
+  assert.ok(relay.sessions.RELAY001);
+
+  relay.handlePayload(stranger, { type: 'save', sessionId: 'RELAY001', data: session({ isActive: false }), ownerToken: 'owner_guess' });
+  relay.handlePayload(stranger, { type: 'delete', sessionId: 'RELAY001', ownerToken: OWNER_HASH });
+  assert.strictEqual(relay.sessions.RELAY001.isActive, true);
+
+  relay.handlePayload(owner, { type: 'delete', sessionId: 'RELAY001', ownerToken: TOKEN });
+  assert.strictEqual(relay.sessions.RELAY001, undefined);
+});
+
+test('a stale owner save keeps bottles and withdrawals that arrived since', () => {
+  reset();
+  const owner = fakeClient();
+  const stale = session({ messages: [{ id: 'm1', messageText: 'first', timestamp: 1 }] });
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', data: stale, ownerToken: TOKEN });
+
+  relay.handlePayload(owner, { type: 'addMessage', sessionId: 'RELAY001',
+    message: { id: 'm2', participantId: 'p2', authorHash: authorHash('author_p2'), messageText: 'second', timestamp: 2 } });
+  relay.handlePayload(owner, { type: 'addMessage', sessionId: 'RELAY001',
+    message: { id: 'm3', participantId: 'p3', authorHash: authorHash('author_p3'), messageText: 'third', timestamp: 3 } });
+  relay.handlePayload(owner, { type: 'withdrawMessage', sessionId: 'RELAY001', messageId: 'm3', authorToken: 'author_p3' });
+  relay.handlePayload(owner, { type: 'addParticipant', sessionId: 'RELAY001', participantId: 'p2' });
+
+  // The teacher marks m1 read from a copy that still contains the withdrawn m3
+  const teacherCopy = session({
+    isActive: false,
+    messages: [
+      { id: 'm1', messageText: 'first', timestamp: 1, isRead: true, updatedAt: 10 },
+      { id: 'm3', participantId: 'p3', messageText: 'third', timestamp: 3 }
+    ]
+  });
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', data: teacherCopy, ownerToken: TOKEN });
+
+  const merged = relay.sessions.RELAY001;
+  assert.strictEqual(merged.isActive, false);
+  assert.deepStrictEqual(merged.messages.map(m => m.id), ['m1', 'm2']);
+  assert.strictEqual(merged.messages[0].isRead, true);
+  assert.deepStrictEqual(merged.participants, ['p2']);
+});
+
+test('students can only edit and withdraw their own bottles', () => {
+  reset();
+  const owner = fakeClient();
+  const mine = { id: 'm1', participantId: 'p1', authorHash: authorHash('author_p1'), messageText: 'mine', timestamp: 1, isRead: true };
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', data: session({ messages: [mine] }), ownerToken: TOKEN });
+
+  // Knowing the participant id, or even the hash, is not enough
+  relay.handlePayload(owner, { type: 'editMessage', sessionId: 'RELAY001', messageId: 'm1', participantId: 'p1', changes: { messageText: 'hijacked' } });
+  relay.handlePayload(owner, { type: 'editMessage', sessionId: 'RELAY001', messageId: 'm1', authorToken: mine.authorHash, changes: { messageText: 'hijacked' } });
+  relay.handlePayload(owner, { type: 'withdrawMessage', sessionId: 'RELAY001', messageId: 'm1', authorToken: 'author_p2' });
+  assert.strictEqual(relay.sessions.RELAY001.messages[0].messageText, 'mine');
+
+  relay.handlePayload(owner, { type: 'editMessage', sessionId: 'RELAY001', messageId: 'm1', authorToken: 'author_p1',
+    changes: { messageText: 'edited', participantId: 'p9', isRead: true } });
+  const edited = relay.sessions.RELAY001.messages[0];
+  assert.strictEqual(edited.messageText, 'edited');
+  assert.strictEqual(edited.participantId, 'p1');
+  assert.strictEqual(edited.isRead, false);
+});
+
+test('edits, withdrawals and new bottles follow the session policy', () => {
+  reset();
+  const owner = fakeClient();
+  const mine = { id: 'm1', participantId: 'p1', authorHash: authorHash('author_p1'), messageText: 'mine', timestamp: 1 };
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', ownerToken: TOKEN,
+    data: session({ messages: [mine], policy: { maxMessagesPerStudent: 1, allowEdit: false, allowWithdraw: false } }) });
+
+  relay.handlePayload(owner, { type: 'editMessage', sessionId: 'RELAY001', messageId: 'm1', authorToken: 'author_p1', changes: { messageText: 'edited' } });
+  relay.handlePayload(owner, { type: 'withdrawMessage', sessionId: 'RELAY001', messageId: 'm1', authorToken: 'author_p1' });
+  relay.handlePayload(owner, { type: 'addMessage', sessionId: 'RELAY001',
+    message: { id: 'm2', participantId: 'p1', authorHash: mine.authorHash, messageText: 'again', timestamp: 2 } });
+  relay.handlePayload(owner, { type: 'addMessage', sessionId: 'RELAY001',
+    message: { id: 'm3', participantId: 'p3', messageText: 'unsigned', timestamp: 3 } });
+  assert.deepStrictEqual(relay.sessions.RELAY001.messages.map(m => m.messageText), ['mine']);
+
+  // Once the session closes even an allowed edit is refused
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', ownerToken: TOKEN,
+    data: session({ messages: [mine], isActive: false, version: 2, updatedAt: 5 }) });
+  relay.handlePayload(owner, { type: 'editMessage', sessionId: 'RELAY001', messageId: 'm1', authorToken: 'author_p1', changes: { messageText: 'edited' } });
+  relay.handlePayload(owner, { type: 'withdrawMessage', sessionId: 'RELAY001', messageId: 'm1', authorToken: 'author_p1' });
+  assert.deepStrictEqual(relay.sessions.RELAY001.messages.map(m => m.messageText), ['mine']);
+});
+
+test('only subscribers hear about a session, and never its owner token', () => {
+  reset();
+  const owner = fakeClient();
+  const student = fakeClient();
+  const bystander = fakeClient();
+
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', data: session({ ownerToken: TOKEN }), ownerToken: TOKEN });
+  relay.handlePayload(student, { type: 'subscribe', sessionIds: ['RELAY001', 'MISSING1'], requestId: 7 });
+
+  const snapshot = student.received[0];
+  assert.strictEqual(snapshot.type, 'snapshot');
+  assert.strictEqual(snapshot.requestId, 7);
+  assert.deepStrictEqual(Object.keys(snapshot.sessions), ['RELAY001']);
+  assert.strictEqual(snapshot.sessions.RELAY001.ownerToken, undefined);
+
+  relay.handlePayload(student, { type: 'addMessage', sessionId: 'RELAY001',
+    message: { id: 'm1', participantId: 'p1', authorHash: authorHash('author_p1'), messageText: 'hi', timestamp: 1 } });
+  relay.handlePayload(student, { type: 'event', name: 'messageAdded', detail: { sessionId: 'RELAY001' } });
+
+  assert.strictEqual(bystander.received.length, 0);
+  assert.ok(owner.received.some(p => p.type === 'event' && p.name === 'messageAdded'));
+  assert.ok(owner.received.every(p => !p.data || p.data.ownerToken === undefined));
+  assert.strictEqual(relay.sessions.RELAY001.ownerToken, undefined);
+
+  // Classmates never learn whose bottle is whose
+  const update = student.received[student.received.length - 1];
+  assert.strictEqual(update.data.messages[0].participantId, null);
+  assert.strictEqual(owner.received.filter(p => p.type === 'session').pop().data.messages[0].participantId, 'p1');
+});
+
+test('held and hidden bottles reach only the owner with their text', () => {
+  reset();
+  const owner = fakeClient();
+  const student = fakeClient();
+  relay.handlePayload(owner, {
+    type: 'save',
+    sessionId: 'RELAY001',
+    data: session({
+      messages: [
+        { id: 'm1', participantId: 'p1', messageText: 'fine', timestamp: 1 },
+        { id: 'm2', participantId: 'p2', studentName: 'Sam', messageText: 'rude words', sketch: 'data:image/png;base64,AAAA', timestamp: 2,
+          moderation: { status: 'held', matches: ['rude'], history: [] } }
+      ]
+    }),
+    ownerToken: TOKEN
+  });
+
+  relay.handlePayload(student, { type: 'subscribe', sessionIds: ['RELAY001'], ownerTokens: { RELAY001: 'owner_guess' } });
+  const held = student.received[0].sessions.RELAY001.messages[1];
+  assert.strictEqual(held.withheld, true);
+  assert.strictEqual(held.messageText, '');
+  assert.strictEqual(held.studentName, null);
+  assert.strictEqual(held.sketch, null);
+  assert.deepStrictEqual(held.moderation, { status: 'held' });
+  assert.strictEqual(student.received[0].sessions.RELAY001.messages[0].messageText, 'fine');
+
+  // Only the owner may decide; the decision then reaches everyone
+  relay.handlePayload(student, { type: 'updateMessage', sessionId: 'RELAY001', messageId: 'm2', changes: { moderation: { status: 'approved' } } });
+  assert.strictEqual(relay.sessions.RELAY001.messages[1].moderation.status, 'held');
+
+  relay.handlePayload(owner, { type: 'updateMessage', sessionId: 'RELAY001', messageId: 'm2', ownerToken: TOKEN,
+    changes: { messageText: '████ words', moderation: { status: 'approved', matches: [], history: [] } } });
+  const update = student.received[student.received.length - 1];
+  assert.strictEqual(update.type, 'session');
+  assert.strictEqual(update.data.messages[1].messageText, '████ words');
+  assert.strictEqual(owner.received[owner.received.length - 1].data.messages[1].studentName, 'Sam');
+});
+
+test('the relay moderates new and edited bottles itself', () => {
+  reset();
+  const owner = fakeClient();
+  const student = fakeClient();
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', ownerToken: TOKEN,
+    data: session({ moderation: { enabled: true, holdAll: false, blocklist: ['rude'] } }) });
+  relay.handlePayload(student, { type: 'subscribe', sessionIds: ['RELAY001'] });
+  assert.deepStrictEqual(student.received[0].sessions.RELAY001.moderation, { enabled: true, holdAll: false });
+
+  const approved = { status: 'approved', matches: [], history: [] };
+  relay.handlePayload(student, { type: 'addMessage', sessionId: 'RELAY001',
+    message: { id: 'm1', participantId: 'p1', authorHash: authorHash('author_p1'), messageText: 'RUDE words', timestamp: 1, moderation: approved } });
+  relay.handlePayload(student, { type: 'addMessage', sessionId: 'RELAY001',
+    message: { id: 'm2', participantId: 'p2', authorHash: authorHash('author_p2'), messageText: 'kind words', timestamp: 2, moderation: approved } });
+
+  const [blocked, kind] = relay.sessions.RELAY001.messages;
+  assert.strictEqual(blocked.moderation.status, 'held');
+  assert.deepStrictEqual(blocked.moderation.matches, ['rude']);
+  assert.strictEqual(kind.moderation, undefined);
+
+  // Editing a blocked word in cannot carry an approval along
+  relay.handlePayload(student, { type: 'editMessage', sessionId: 'RELAY001', messageId: 'm2', authorToken: 'author_p2',
+    changes: { messageText: 'rude now', moderation: approved } });
+  assert.strictEqual(relay.sessions.RELAY001.messages[1].moderation.status, 'held');
+  assert.strictEqual(student.received[student.received.length - 1].data.messages[1].withheld, true);
+});
+
+test('only allowed events are passed on, and sessionClosed only from the owner', () => {
+  reset();
+  const owner = fakeClient();
+  const student = fakeClient();
+  relay.handlePayload(owner, { type: 'save', sessionId: 'RELAY001', data: session(), ownerToken: TOKEN });
+  relay.handlePayload(student, { type: 'subscribe', sessionIds: ['RELAY001'] });
+  student.received.length = 0;
+
+  relay.handlePayload(owner, { type: 'event', name: 'sessionsUpdated', detail: { sessionId: 'RELAY001' } });
+  relay.handlePayload(owner, { type: 'event', name: 'sessionClosed', detail: { sessionId: 'RELAY001' }, ownerToken: 'owner_guess' });
+  assert.strictEqual(student.received.length, 0);
+
+  relay.handlePayload(owner, { type: 'event', name: 'participantJoined', detail: { sessionId: 'RELAY001', participantId: 'p1' } });
+  relay.handlePayload(owner, { type: 'event', name: 'sessionClosed', detail: { sessionId: 'RELAY001', reason: 'manual' }, ownerToken: TOKEN });
+  assert.deepStrictEqual(student.received, [
+    { type: 'event', name: 'participantJoined', detail: { sessionId: 'RELAY001' } },
+    { type: 'event', name: 'sessionClosed', detail: { sessionId: 'RELAY001', reason: 'manual' } }
+  ]);
+});
+
+test('a connection announcing an oversized message is closed before it is buffered', () => {
+  reset();
+  const { EventEmitter } = require('events');
+  const socket = new EventEmitter();
+  const written = [];
+  socket.write = (data) => written.push(data);
+  socket.end = () => { socket.ended = true; };
+  relay.attachClient(socket);
+
+  const header = Buffer.alloc(14);
+  header[0] = 0x81;
+  header[1] = 0x80 | 127;
+  header.writeBigUInt64BE(BigInt(relay.MAX_MESSAGE_BYTES + 1), 2);
+  socket.emit('data', header);
+
+  assert.strictEqual(socket.ended, true);
+  assert.strictEqual(relay.clients.has(socket), false);
+  assert.deepStrictEqual([...written[0]], [0x88, 2, 0x03, 0xf1]);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+const html = app.get('html');
+const jsArg = app.get('jsArg');
+
+test('interpolated strings are escaped', () => {
+  const name = '<img src=x onerror="alert(1)">';
+  assert.strictEqual(
+    html`<p>${name}</p>`.markup,
+    '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>'
+  );
+});
+
+test('quotes and backticks cannot break out of attributes', () => {
+  assert.strictEqual(html`<a title="${'" onmouseover="x'}">`.markup, '<a title="&quot; onmouseover=&quot;x">');
+  assert.strictEqual(html`<a title='${"' x='"}'>`.markup, "<a title='&#39; x=&#39;'>");
+  assert.strictEqual(html`${'`'}`.markup, '&#96;');
+});
+
+test('nested html results and arrays are rendered as markup', () => {
+  const items = ['<a>', '<b>'].map(item => html`<li>${item}</li>`);
+  assert.strictEqual(html`<ul>${items}</ul>`.markup, '<ul><li>&lt;a&gt;</li><li>&lt;b&gt;</li></ul>');
+});
+
+test('null, undefined and false render as nothing, 0 renders', () => {
+  assert.strictEqual(html`${null}${undefined}${false}${0}`.markup, '0');
+});
+
+test('objects that only look like trusted markup are escaped', () => {
+  const forged = { isSafeHTML: true, markup: '<img src=x onerror=alert(1)>' };
+  const rendered = html`<p>${forged}</p>`.markup;
+  assert.ok(!rendered.includes('<img'), rendered);
+});
+
+test('forged markup from JSON (relay or archive) is escaped', () => {
+  const message = JSON.parse('{"studentName":{"isSafeHTML":true,"markup":"<script>alert(1)</script>"}}');
+  const rendered = html`<b>${message.studentName}</b>`.markup;
+  assert.ok(!rendered.includes('<script>'), rendered);
+});
+
+test('forged markup inside arrays is escaped', () => {
+  const list = JSON.parse('[{"isSafeHTML":true,"markup":"<svg onload=alert(1)>"}]');
+  assert.ok(!html`${list}`.markup.includes('<svg'));
+});
+
+test('JSON objects that shadow toString do not break rendering', () => {
+  const hostile = JSON.parse('{"toString":"<b>","markup":"<b>"}');
+  assert.strictEqual(html`<p>${hostile}</p>`.markup, '<p></p>');
+});
+
+test('markup built in one render cannot be altered afterwards', () => {
+  const safe = html`<b>ok</b>`;
+  assert.throws(() => { 'use strict'; safe.markup = '<script>'; });
+  assert.strictEqual(html`${safe}`.markup, '<b>ok</b>');
+});
+
+test('jsArg produces an escaped string literal for inline handlers', () => {
+  assert.strictEqual(html`<button onclick="f(${jsArg('a"b\'c</button>')})">`.markup,
+    '<button onclick="f(&quot;a\\&quot;b&#39;c&lt;/button&gt;&quot;)">');
+});
+
+// Whole views rendered with hostile text in every field a student or an
+// archive controls. Escaped payloads may show up as text; the checks look
+// for what would only be there if a tag or attribute had broken out.
+const PAYLOAD = '<img src=x onerror=alert(1)>" onmouseover="alert(2)\' onfocus=\'alert(3)';
+const HOSTILE_ID = 'x\');alert(4);//"';
+
+// Views assign html results to innerHTML, which the browser stringifies
+function assertInert(rendered) {
+  const markup = String(rendered);
+  assert.match(markup, /&lt;img src=x|x&#39;\);alert\(4\)/, 'the payload should be rendered, escaped');
+  assert.doesNotMatch(markup, /<img src=x/);
+  assert.doesNotMatch(markup, /<script/i);
+  assert.doesNotMatch(markup, /onmouseover="alert/);
+  assert.doesNotMatch(markup, /onfocus='alert/);
+  assert.doesNotMatch(markup, /'\);alert\(4\)/);
+}
+
+function fakeElement() {
+  return {
+    innerHTML: '',
+    value: '',
+    style: {},
+    dataset: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    addEventListener() {},
+    removeEventListener() {},
+    appendChild() {},
+    setAttribute() {},
+    querySelector: () => fakeElement(),
+    querySelectorAll: () => [],
+    closest: () => null,
+    focus() {},
+    remove() {}
+  };
+}
+
+// A fresh app whose document hands out stand-in elements and keeps the
+// ones views write into
+function renderingApp() {
+  const rendered = fakeElement();
+  const created = [];
+  const testApp = loadApp();
+  Object.assign(testApp.context.document, {
+    body: { appendChild: (element) => created.push(element), removeChild() {} },
+    activeElement: null,
+    getElementById: (id) => (id === 'app' ? rendered : id === 'sketch-canvas' ? null : fakeElement()),
+    createElement: () => fakeElement()
+  });
+  testApp.context.MutationObserver = class { observe() {} disconnect() {} };
+  testApp.context.showToast = () => {};
+  return { testApp, rendered, created };
+}
+
+function hostileSession(fields = {}) {
+  return {
+    id: HOSTILE_ID,
+    mode: 'question',
+    question: PAYLOAD,
+    optionA: PAYLOAD,
+    optionB: PAYLOAD,
+    isActive: true,
+    sketchLimitKB: 0,
+    participants: [],
+    messages: [],
+    createdAt: 1,
+    ...fields
+  };
+}
+
+test('the message modal keeps hostile message fields inert', () => {
+  const { testApp, created } = renderingApp();
+  const message = {
+    id: HOSTILE_ID,
+    participantId: 'participant_1',
+    studentName: PAYLOAD,
+    isAnonymous: false,
+    selectedOption: 'A',
+    messageText: PAYLOAD,
+    wordCount: 3,
+    timestamp: 1,
+    reply: { text: PAYLOAD, sentAt: 2 }
+  };
+  testApp.get('SessionManager').write(HOSTILE_ID, hostileSession({ messages: [message] }));
+
+  testApp.get('showMessageModal')(HOSTILE_ID, message);
+  testApp.get('teardownRoute')();
+
+  assert.strictEqual(created.length, 1);
+  assert.match(String(created[0].innerHTML), /&lt;img src=x/);
+  assertInert(created[0].innerHTML);
+});
+
+test('the student landing page and composer keep the question and options inert', () => {
+  const { testApp, rendered } = renderingApp();
+  testApp.get('SessionManager').write(HOSTILE_ID, hostileSession());
+
+  testApp.get('renderStudentLanding')(HOSTILE_ID);
+  testApp.get('teardownRoute')();
+  assert.match(String(rendered.innerHTML), /Start Writing/);
+  assertInert(rendered.innerHTML);
+
+  testApp.get('renderComposer')(HOSTILE_ID);
+  testApp.get('teardownRoute')();
+  assert.match(String(rendered.innerHTML), /Option B/);
+  assertInert(rendered.innerHTML);
+});
+
+test('dashboard cards keep hostile session ids and questions inert', () => {
+  const { testApp } = renderingApp();
+  const renderSessionCard = testApp.get('renderSessionCard');
+
+  [hostileSession(), hostileSession({ isActive: false, closedAt: 2 }), hostileSession({ mode: 'prompts', prompts: [PAYLOAD, PAYLOAD] })]
+    .forEach(session => assertInert(renderSessionCard(session).markup));
+});
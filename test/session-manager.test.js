@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+function makeSession(id, fields = {}) {
+  return { id, mode: 'free', isActive: true, participants: [], messages: [], createdAt: Date.now(), ...fields };
+}
+
+test('a full localStorage does not make save throw', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const storage = app.get('createLocalStorageStorage')();
+  app.context.localStorage.setItem = () => {
+    const error = new Error('The quota has been exceeded.');
+    error.name = 'QuotaExceededError';
+    throw error;
+  };
+  SessionManager.storage = storage;
+
+  assert.doesNotThrow(() => SessionManager.save('FULL0001', makeSession('FULL0001')));
+  assert.ok(SessionManager.get('FULL0001'), 'the session is still kept in memory');
+});
+
+test('a storage backend that throws synchronously does not break writes', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  SessionManager.storage = {
+    put: () => { throw new Error('boom'); },
+    remove: () => Promise.resolve()
+  };
+
+  assert.doesNotThrow(() => SessionManager.save('THROW001', makeSession('THROW001')));
+});
+
+test('concurrent writes with the same version converge in both tabs', () => {
+  const tabA = loadApp();
+  const tabB = loadApp();
+  tabA.get('AppState').socketId = 'socket_a';
+  tabB.get('AppState').socketId = 'socket_b';
+  const managerA = tabA.get('SessionManager');
+  const managerB = tabB.get('SessionManager');
+
+  const base = makeSession('TIE00001', { version: 3 });
+  managerA.write('TIE00001', JSON.parse(JSON.stringify(base)));
+  managerB.write('TIE00001', JSON.parse(JSON.stringify(base)));
+
+  // Both tabs change the session at once and reach version 4
+  const copyA = managerA.get('TIE00001');
+  copyA.question = 'from A';
+  managerA.stamp(copyA);
+  copyA.updatedAt = 1000;
+  const savedA = managerA.write('TIE00001', copyA);
+
+  const copyB = managerB.get('TIE00001');
+  copyB.question = 'from B';
+  managerB.stamp(copyB);
+  copyB.updatedAt = 1000;
+  const savedB = managerB.write('TIE00001', copyB);
+
+  managerA.apply('TIE00001', JSON.parse(JSON.stringify(savedB)));
+  managerB.apply('TIE00001', JSON.parse(JSON.stringify(savedA)));
+
+  assert.strictEqual(managerA.get('TIE00001').question, 'from B');
+  assert.strictEqual(managerB.get('TIE00001').question, 'from B');
+});
+
+test('a later write wins a version tie before the origin id is compared', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const older = { version: 5, updatedAt: 2000, updatedBy: 'socket_z' };
+  const newer = { version: 5, updatedAt: 3000, updatedBy: 'socket_a' };
+
+  assert.strictEqual(SessionManager.isNewer(newer, older), true);
+  assert.strictEqual(SessionManager.isNewer(older, newer), false);
+  assert.strictEqual(SessionManager.isNewer(older, { ...older }), false);
+});
+
+test('a withheld copy from the relay keeps the text this device already had', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const own = { id: 'm1', participantId: 'p1', messageText: 'my words', moderation: { status: 'held', history: [] } };
+  SessionManager.write('HELD0001', makeSession('HELD0001', { version: 1, messages: [own] }));
+
+  SessionManager.apply('HELD0001', makeSession('HELD0001', {
+    version: 2,
+    messages: [
+      { id: 'm1', participantId: 'p1', messageText: '', moderation: { status: 'hidden' }, withheld: true },
+      { id: 'm2', participantId: 'p2', messageText: '', moderation: { status: 'held' }, withheld: true }
+    ]
+  }));
+
+  const [mine, theirs] = SessionManager.get('HELD0001').messages;
+  assert.strictEqual(mine.messageText, 'my words');
+  assert.strictEqual(mine.moderation.status, 'hidden');
+  assert.strictEqual(mine.withheld, undefined);
+  assert.strictEqual(theirs.withheld, true);
+  assert.strictEqual(theirs.messageText, '');
+});
+
+test('a new student cannot add a bottle to a full session', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const addMessage = app.get('addMessage');
+  const seated = app.get('StudentIdentity').getParticipantId('FULL0001');
+  SessionManager.write('FULL0001', makeSession('FULL0001', { limits: { maxParticipants: 1 }, participants: ['participant_other'] }));
+
+  assert.strictEqual(addMessage('FULL0001', { messageText: 'let me in', isAnonymous: true }), false);
+  assert.deepStrictEqual([...SessionManager.get('FULL0001').participants], ['participant_other']);
+
+  SessionManager.write('FULL0001', makeSession('FULL0001', { limits: { maxParticipants: 1 }, participants: [seated] }));
+  assert.strictEqual(addMessage('FULL0001', { messageText: 'already here', isAnonymous: true }), true);
+});
+
+test('the sketch budget is capped while sessions live in localStorage', () => {
+  const app = loadApp();
+  const SessionManager = app.get('SessionManager');
+  const getSketchLimit = app.get('getSketchLimit');
+  const session = makeSession('SKETCH01', { sketchLimitKB: 5120 });
+
+  assert.strictEqual(getSketchLimit(session), 5120 * 1024);
+
+  SessionManager.storage = app.get('createLocalStorageStorage')();
+  assert.strictEqual(getSketchLimit(session), 512 * 1024);
+  assert.deepStrictEqual([...app.get('getSketchLimitsKB')()], [0, 512]);
+  assert.strictEqual(getSketchLimit(makeSession('SKETCH02', { sketchLimitKB: 0 })), 0);
+});